@@ -0,0 +1,237 @@
+/**
+ * CLI commands. Everything here is argument handling and printing; the reads
+ * and the maths are the same src/lib modules the page uses, so a `log` run
+ * prints exactly the SIMULATION LOG stream.
+ */
+
+import { CHAINS, DEFAULT_CHAIN, getChain, overrideRpc } from '../src/lib/chains.js';
+import { REGISTRY, isAddress, userEntry, discoverVaults, toConfig } from '../src/lib/registry.js';
+import { fetchRegistry, chainsOf, snapshotRow } from '../src/lib/vaults.js';
+import { fetchPositions } from '../src/lib/positions.js';
+import { estimateCosts } from '../src/lib/transactions.js';
+import { checkCapacity } from '../src/lib/capacity.js';
+import { parseUnits } from '../src/lib/abi.js';
+import { APY_WINDOWS, DEFAULT_APY_WINDOW, apyFor, windowLabel } from '../src/lib/history.js';
+import { MAX_HORIZON, apyBands, projectBands } from '../src/lib/projection.js';
+import { formatUSD, formatDual, formatAssetAmount, toAssetAmount, apyDisplay } from '../src/lib/format.js';
+import { costInputs, costsLine, capacityLine, horizonsWith, ladderRows, priceLine, generateLog, formatLogLine } from '../src/lib/simulation.js';
+import { toJson } from '../src/lib/exports.js';
+import { startRecording, loadTape, tapeJson } from '../src/lib/tape.js';
+import { readFile, writeFile } from 'node:fs/promises';
+
+var USAGE = [
+  'Usage: concrete-yield <command> [options]',
+  '',
+  'Requires Node 20.6 or newer.',
+  '',
+  'Commands:',
+  '  vaults                   APY and TVL for every listed vault',
+  '  project                  Net projection table for one vault',
+  '  log                      The SIMULATION LOG stream for one vault',
+  '  positions                An account\'s shares and assets in every listed vault (or --vault)',
+  '',
+  'Options:',
+  '  --vault <id|address>     Registry id (usdt, wbtc, ...) or an ERC-4626 address',
+  '  --account <address>      Account whose positions to read (positions)',
+  '  --amount <n>             Deposit, in USD unless --unit asset',
+  '  --unit usd|asset         Unit of --amount and --monthly (default usd)',
+  '  --days <n>               Horizon in days (default 30, max '+MAX_HORIZON+')',
+  '  --monthly <n>            Recurring deposit every 30 days',
+  '  --apy-window <days>      '+APY_WINDOWS.map(function(w){return w.days;}).join('|')+' (default '+DEFAULT_APY_WINDOW+')',
+  '  --chain <id>             Chain to list or to look an address up on (default '+DEFAULT_CHAIN+')',
+  '  --rpc <url[,url]>        RPC endpoint(s) for that chain, replacing the configured pool',
+  '  --no-costs               Skip the fee and gas estimate',
+  '  --json                   Print JSON instead of text',
+  '  --record <file>          Save every RPC and explorer exchange to a tape (or CONCRETE_YIELD_RECORD)',
+  '  --replay <file>          Answer everything from a tape, offline (or CONCRETE_YIELD_REPLAY)',
+].join('\n');
+
+var BOOL_FLAGS = ['json','no-costs','help'];
+
+function parseArgs(argv) {
+  var out = {_:[]};
+  for (var i=0;i<argv.length;i++) {
+    var a = argv[i];
+    if (a.indexOf('--')!==0) { out._.push(a); continue; }
+    var eq = a.indexOf('=');
+    var key = eq>0 ? a.slice(2,eq) : a.slice(2);
+    if (eq>0) out[key] = a.slice(eq+1);
+    else if (BOOL_FLAGS.indexOf(key)>=0) out[key] = true;
+    else if (i+1<argv.length) out[key] = argv[++i];
+    else throw new Error('--'+key+' needs a value');
+  }
+  return out;
+}
+
+function number(args, key, fallback) {
+  if (args[key]===undefined) return fallback;
+  var n = Number(args[key]);
+  if (!isFinite(n)||n<0) throw new Error('--'+key+' must be a non-negative number');
+  return n;
+}
+
+function chainArg(args) {
+  var id = args.chain===undefined ? DEFAULT_CHAIN : Number(args.chain);
+  if (!CHAINS[id]) throw new Error('Unsupported chain '+args.chain+' (known: '+Object.keys(CHAINS).join(', ')+')');
+  return id;
+}
+
+// Registry id first, then an address on --chain, the same entry shape the add-vault form creates.
+function findEntry(args) {
+  if (!args.vault) throw new Error('--vault is required');
+  var byId = REGISTRY.find(function(e){return e.id===args.vault;});
+  if (byId) return byId;
+  if (isAddress(args.vault)) {
+    var chainId = chainArg(args);
+    return REGISTRY.find(function(e){return e.chainId===chainId&&e.address.toLowerCase()===args.vault.toLowerCase();}) || userEntry(args.vault, chainId);
+  }
+  throw new Error('Unknown vault "'+args.vault+'" (known: '+REGISTRY.map(function(e){return e.id;}).join(', ')+')');
+}
+
+async function fetchOne(entry) {
+  var r = (await fetchRegistry([entry]))[0];
+  if (r.status==='rejected') throw new Error(entry.id+': '+r.reason.message);
+  return r.value;
+}
+
+function pad(s, n) { s = String(s); return s.length>=n ? s+' ' : s+' '.repeat(n-s.length); }
+
+async function vaultsCommand(args) {
+  var entries = args.chain===undefined ? REGISTRY : REGISTRY.filter(function(e){return e.chainId===chainArg(args);});
+  var results = await fetchRegistry(entries);
+  var vaults = results.map(function(r,i) {
+    if (r.status==='fulfilled') return r.value;
+    return Object.assign({}, entries[i], {live:false, error:r.reason.message});
+  });
+  if (args.json) return toJson(vaults.map(function(v){ return Object.assign(snapshotRow(v), v.error?{error:v.error}:{}); }));
+  var head = pad('ID',10)+pad('CHAIN',6)+pad('ASSET',8)+APY_WINDOWS.map(function(w){return pad(w.label,8);}).join('')+pad('RISK',8)+pad('TVL',34)+'BLOCK';
+  return [head].concat(vaults.map(function(v) {
+    var chain = getChain(v.chainId).short;
+    if (!v.live) return pad(v.id,10)+pad(chain,6)+'FAILED: '+v.error;
+    return pad(v.id,10)+pad(chain,6)+pad(v.assetSymbol,8)+APY_WINDOWS.map(function(w){return pad(apyDisplay(v.apys[w.days]),8);}).join('')
+      +pad(v.riskReport.score!==null?v.riskReport.grade+' '+v.risk:v.risk,8)+pad(v.tvl+(v.tvlUsd!==null?' · '+formatUSD(v.tvlUsd):''),34)+v.blockNumber;
+  })).join('\n');
+}
+
+// Shared by `project` and `log`: the vault snapshot, the deposit in asset units, the cost estimate and the capacity check.
+// Every argument is checked before the first request, so a typo fails at once, offline too.
+async function scenario(args) {
+  var entry = findEntry(args);
+  var unit  = args.unit||'usd';
+  if (unit!=='usd'&&unit!=='asset') throw new Error('--unit must be usd or asset');
+  var days = Math.round(number(args, 'days', 30));
+  if (days<1||days>MAX_HORIZON) throw new Error('--days must be between 1 and '+MAX_HORIZON);
+  var apyWindow = number(args, 'apy-window', DEFAULT_APY_WINDOW);
+  if (!APY_WINDOWS.some(function(w){return w.days===apyWindow;})) throw new Error('--apy-window must be one of '+APY_WINDOWS.map(function(w){return w.days;}).join(', '));
+  var principal = number(args, 'amount', 10000), monthlyIn = number(args, 'monthly', 0);
+  var vault   = await fetchOne(entry);
+  var amount  = toAssetAmount(principal, unit, vault);
+  var monthly = toAssetAmount(monthlyIn, unit, vault);
+  if (amount===null) throw new Error('No USD price for '+vault.assetSymbol+' — pass --unit asset');
+  var costs = null;
+  if (!args['no-costs']&&amount>0) {
+    try { costs = await estimateCosts(vault, parseUnits(amount, vault.assetDecimals)); }
+    catch(e) { console.warn('Cost estimate failed, projecting without fees and gas:', e.message); }
+  }
+  var capacity = null;
+  if (amount>0&&!vault.pending) {
+    try { capacity = await checkCapacity(vault, parseUnits(amount, vault.assetDecimals)); }
+    catch(e) { console.warn('Capacity check failed:', e.message); }
+  }
+  return { vault:vault, unit:unit, amount:amount, monthly:monthly||0, days:days, apyWindow:apyWindow, costs:costs, capacity:capacity };
+}
+
+async function projectCommand(args) {
+  var s = await scenario(args);
+  var v = s.vault;
+  var apy = apyFor(v, s.apyWindow);
+  if (apy===null) throw new Error(v.id+': no '+windowLabel(s.apyWindow)+' APY yet');
+  var base  = {amount:s.amount, apy:apy, monthly:s.monthly, costs:costInputs(v, s.costs)};
+  var rows  = ladderRows(v, base, horizonsWith(s.days));
+  var bands = apyBands(apy, v.history);
+  var runs  = projectBands(Object.assign({}, base, {days:s.days}), bands);
+  if (args.json) {
+    return toJson({vault:snapshotRow(v), apyWindow:s.apyWindow, amount:s.amount, monthly:s.monthly, days:s.days, costs:s.costs, capacity:s.capacity, rows:rows,
+      bands:runs ? {apy:bands, net:{low:runs.low.net, base:runs.base.net, high:runs.high.net}} : null});
+  }
+  var out = [
+    v.displayName+' ('+getChain(v.chainId).short+') · '+v.address+' · block '+v.blockNumber,
+    windowLabel(s.apyWindow)+' APY '+apyDisplay(apy)+' · '+priceLine(v),
+    'DEPOSIT '+formatDual(s.amount,v)+(s.monthly>0?' · +'+formatDual(s.monthly,v)+' MONTHLY':''),
+    'COSTS · '+(s.costs?costsLine(v,s.costs):'NOT INCLUDED'),
+  ];
+  if (s.capacity) {
+    out.push('CAPACITY · '+capacityLine(v,s.capacity));
+    s.capacity.warnings.forEach(function(w){ out.push('  ⚠ '+w); });
+  }
+  out.push('', pad('HORIZON',9)+pad('INVESTED',30)+pad('NET VALUE',30)+pad('NET YIELD',30)+'ROI');
+  rows.forEach(function(r) {
+    out.push(pad(r.horizon,9)+pad(formatDual(r.invested,v),30)+pad(formatDual(r.net,v),30)+pad(formatDual(r.yield,v),30)+(r.roi!==null?r.roi.toFixed(2)+'%':'—'));
+  });
+  if (runs) {
+    out.push('');
+    [['PESSIMISTIC','low'],['BASE','base'],['OPTIMISTIC','high']].forEach(function(b) {
+      out.push(pad(b[0],12)+pad(bands[b[1]].toFixed(2)+'%',9)+'→ '+formatDual(runs[b[1]].net,v)+' at '+s.days+'d');
+    });
+  }
+  return out.join('\n');
+}
+
+async function logCommand(args) {
+  var s = await scenario(args);
+  var lines = generateLog(s.amount, s.vault, s.days, s.apyWindow, {monthly:s.monthly, costs:s.costs, capacity:s.capacity});
+  return args.json ? toJson(lines) : lines.map(formatLogLine).join('\n');
+}
+
+// The POSITIONS panel's reads for --account, over --vault or every listed vault (on --chain).
+async function positionsCommand(args) {
+  if (!isAddress(args.account)) throw new Error('--account must be an address');
+  var entries = args.vault ? [findEntry(args)] : args.chain===undefined ? REGISTRY : REGISTRY.filter(function(e){return e.chainId===chainArg(args);});
+  var metas = {};
+  await Promise.all(chainsOf(entries).map(async function(chainId) {
+    metas[chainId] = await discoverVaults(entries.filter(function(e){return e.chainId===chainId;}).map(function(e){return e.address;}), chainId);
+  }));
+  var configs = entries.map(function(e) {
+    var m = metas[e.chainId][e.address.toLowerCase()];
+    if (m instanceof Error) throw new Error(e.id+': '+m.message);
+    return toConfig(e, m);
+  });
+  var positions = await fetchPositions(configs, args.account);
+  if (args.json) {
+    return toJson(configs.map(function(c) {
+      return Object.assign({id:c.id, chainId:c.chainId, address:c.address, account:args.account, asset:c.assetSymbol}, positions[c.id]||{error:'balanceOf failed'});
+    }));
+  }
+  var head = pad('ID',10)+pad('CHAIN',6)+pad('SHARES',22)+pad('ASSETS',26)+'MAX WITHDRAW';
+  return ['ACCOUNT '+args.account, head].concat(configs.map(function(c) {
+    var p = positions[c.id], chain = getChain(c.chainId).short;
+    if (!p) return pad(c.id,10)+pad(chain,6)+'FAILED: balanceOf failed';
+    var amount = function(n){ return n!==null ? formatAssetAmount(n,c.assetSymbol) : '—'; };
+    return pad(c.id,10)+pad(chain,6)+pad(p.sharesFloat.toFixed(4)+' '+(c.shareSymbol||''),22)+pad(amount(p.assetsFloat),26)+amount(p.maxWithdrawFloat);
+  })).join('\n');
+}
+
+var COMMANDS = { vaults:vaultsCommand, project:projectCommand, log:logCommand, positions:positionsCommand };
+
+/** Run one command; resolves to the process exit code. */
+export async function main(argv) {
+  try {
+    var args = parseArgs(argv);
+    var command = COMMANDS[args._[0]];
+    if (args.help||!command) {
+      console.log(USAGE);
+      return args.help||!args._[0] ? 0 : 1;
+    }
+    if (args.rpc) overrideRpc(args.vault ? findEntry(args).chainId : chainArg(args), args.rpc);
+    var replay = args.replay || process.env.CONCRETE_YIELD_REPLAY;
+    var record = args.record || process.env.CONCRETE_YIELD_RECORD;
+    if (replay) loadTape(JSON.parse(await readFile(replay, 'utf8')), replay);
+    else if (record) startRecording();
+    try { console.log(await command(args)); }
+    finally { if (record&&!replay) await writeFile(record, toJson(tapeJson())+'\n'); }
+    return 0;
+  } catch(e) {
+    console.error('concrete-yield: '+e.message);
+    return 1;
+  }
+}
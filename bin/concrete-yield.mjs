@@ -0,0 +1,16 @@
+#!/usr/bin/env node
+/**
+ * concrete-yield — the calculator's live vault reads and projections from a
+ * shell, for cron jobs and bots. See `concrete-yield --help`.
+ */
+
+import * as nodeModule from 'node:module';
+
+// Module hooks (`register`) arrived in Node 20.6; without them src/lib cannot be loaded.
+if (!nodeModule.register) {
+  console.error('concrete-yield needs Node 20.6 or newer (this is '+process.version+')');
+  process.exit(1);
+}
+nodeModule.register('./loader.mjs', import.meta.url);
+var { main } = await import('./cli.mjs');
+process.exitCode = await main(process.argv.slice(2));
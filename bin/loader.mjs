@@ -0,0 +1,31 @@
+/**
+ * Node module hooks that let the CLI import src/lib unchanged. The library is
+ * written for the Next.js bundler: ESM in plain .js files, extensionless
+ * relative imports and JSON config imports. Inside the repo these hooks add
+ * the .js extension, load .js as ES modules and expose JSON as a default export.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+var ROOT = new URL('../', import.meta.url).href;
+var SRC  = new URL('../src/', import.meta.url).href;
+
+export async function resolve(specifier, context, next) {
+  if (/^\.\.?\//.test(specifier) && context.parentURL && context.parentURL.indexOf(SRC)===0 && !/\.\w+$/.test(specifier)) {
+    var url = new URL(specifier+'.js', context.parentURL);
+    if (existsSync(fileURLToPath(url))) return { url:url.href, shortCircuit:true };
+  }
+  return next(specifier, context);
+}
+
+export async function load(url, context, next) {
+  if (url.indexOf(SRC)===0 && /\.js$/.test(url)) {
+    return { format:'module', source:await readFile(fileURLToPath(url), 'utf8'), shortCircuit:true };
+  }
+  if (url.indexOf(ROOT)===0 && /\.json$/.test(url)) {
+    return { format:'module', source:'export default '+await readFile(fileURLToPath(url), 'utf8')+';', shortCircuit:true };
+  }
+  return next(url, context);
+}
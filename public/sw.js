@@ -0,0 +1,52 @@
+/**
+ * Offline support for the static export. Hashed build assets are served
+ * cache-first; pages and everything else same-origin are network-first with
+ * the cache as the fallback. RPC and explorer traffic is never cached here:
+ * offline, the page falls back to the snapshots it keeps in IndexedDB.
+ *
+ * Install also caches every /_next/static/ file the shell page's HTML
+ * names, so the first visit works offline without a reload. Chunks the
+ * page loads later on demand, and the /embed/ page, are cached once used.
+ */
+
+var CACHE = 'concrete-yield-v2';
+var SHELL = ['/', '/moai.png', '/pfp.jpg'];
+
+function unique(list) { return list.filter(function(a,i){ return list.indexOf(a)===i; }); }
+
+// The build's hashed scripts and styles as named in the cached shell page.
+function precacheAssets(c) {
+  return c.match('/').then(function(res){ return res.text(); }).then(function(html) {
+    return c.addAll(unique(html.match(/\/_next\/static\/[^"'\s)]+/g)||[]));
+  });
+}
+
+self.addEventListener('install', function(e) {
+  e.waitUntil(caches.open(CACHE).then(function(c){ return c.addAll(SHELL).then(function(){ return precacheAssets(c); }); })
+    .then(function(){ return self.skipWaiting(); }));
+});
+
+self.addEventListener('activate', function(e) {
+  e.waitUntil(caches.keys().then(function(keys) {
+    return Promise.all(keys.filter(function(k){ return k!==CACHE; }).map(function(k){ return caches.delete(k); }));
+  }).then(function(){ return self.clients.claim(); }));
+});
+
+function put(req, res) {
+  if (res.ok) { var copy = res.clone(); caches.open(CACHE).then(function(c){ c.put(req, copy); }); }
+  return res;
+}
+
+self.addEventListener('fetch', function(e) {
+  var req = e.request;
+  var url = new URL(req.url);
+  if (req.method!=='GET'||url.origin!==self.location.origin) return;
+  if (url.pathname.indexOf('/_next/static/')===0) {
+    e.respondWith(caches.match(req).then(function(hit){ return hit || fetch(req).then(function(res){ return put(req, res); }); }));
+    return;
+  }
+  // A scenario link is the same page with a different query string.
+  e.respondWith(fetch(req).then(function(res){ return put(req, res); }).catch(function() {
+    return caches.match(req, {ignoreSearch:req.mode==='navigate'}).then(function(hit){ return hit || Response.error(); });
+  }));
+});
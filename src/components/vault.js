@@ -0,0 +1,389 @@
+/**
+ * Vault views shared by the full page and the embed: the registry and
+ * snapshot hooks, the vault card and the projection matrix.
+ */
+
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { TrendingUp, Activity, DollarSign, Percent, RefreshCw } from 'lucide-react';
+import { CHAINS, chainLabel } from '../lib/chains';
+import { providerStatus } from '../lib/providers';
+import { REGISTRY, isAddress, loadUserVaults, saveUserVaults, userEntry, discoverVaults } from '../lib/registry';
+import { estimateCosts } from '../lib/transactions';
+import { MAX_HORIZON, compound, project, apyBands, projectBands } from '../lib/projection';
+import { parseUnits } from '../lib/abi';
+import { toCsv, toJson, download } from '../lib/exports';
+import { saveSnapshots, loadSnapshots, snapshotHistory } from '../lib/snapshots';
+import { APY_WINDOWS, apyFor, windowLabel } from '../lib/history';
+import { formatUSD, formatAssetAmount, toUsd, formatDual, apyDisplay, timeSince } from '../lib/format';
+import { fetchRegistry, settleRegistry, staleVault, chainsOf, snapshotRow } from '../lib/vaults';
+import { NAV_DAYS } from '../lib/nav';
+import { TIMEFRAMES, horizonsWith, costInputs, costsLine, ladderRows } from '../lib/simulation';
+
+export function useRegistry() {
+  var [userVaults,setUserVaults] = useState(loadUserVaults);
+  var entries = useMemo(function(){ return REGISTRY.concat(userVaults); }, [userVaults]);
+  var addVault = useCallback(async function(address, chainId) {
+    address = address.trim();
+    if (!isAddress(address)) throw new Error('Not a valid address');
+    if (entries.some(function(e){return e.chainId===chainId&&e.address.toLowerCase()===address.toLowerCase();})) throw new Error('Vault already listed');
+    var meta = (await discoverVaults([address], chainId))[address.toLowerCase()];
+    if (meta instanceof Error) throw meta;
+    var next = userVaults.concat([userEntry(address, chainId)]);
+    saveUserVaults(next); setUserVaults(next);
+  }, [entries, userVaults]);
+  var removeVault = useCallback(function(id) {
+    var next = userVaults.filter(function(e){return e.id!==id;});
+    saveUserVaults(next); setUserVaults(next);
+  }, [userVaults]);
+  return { entries, addVault, removeVault };
+}
+
+// Live reads for `entries` every minute. With `persist` false (the embed) no snapshots are read or saved,
+// so nothing is written to storage and a failed vault just shows as failed.
+export function useVaultData(entries, persist) {
+  persist = persist!==false;
+  var [vaults,setVaults]           = useState(entries.map(function(v){return Object.assign({},v,{apy:null,tvl:null,live:false});}));
+  var [loading,setLoading]         = useState(true);
+  var [error,setError]             = useState(null);
+  var [lastFetched,setLastFetched] = useState(null);
+  var [tick,setTick]               = useState(0);
+  var [providers,setProviders]     = useState({});
+  var [snapshots] = useState(function(){ return persist ? loadSnapshots() : Promise.resolve({}); }); // resolves once to a map that later refreshes keep current
+  var fetched     = useRef(false);
+  // Last saved snapshots go on screen at once, marked stale, unless a refresh already landed.
+  useEffect(function() {
+    snapshots.then(function(saved) {
+      if (fetched.current||!Object.keys(saved).length) return;
+      setVaults(entries.map(function(e){ return saved[e.id] ? staleVault(e, saved[e.id]) : Object.assign({},e,{apy:null,tvl:null,live:false}); }));
+    });
+  }, []);
+  var fetchAll = useCallback(async function() {
+    setLoading(true); setError(null);
+    var chains = chainsOf(entries);
+    var failoversBefore = {};
+    chains.forEach(function(id){ failoversBefore[id] = providerStatus(id).failovers; });
+    var results = await fetchRegistry(entries);
+    var cached  = await snapshots;
+    var settled = settleRegistry(entries, results, cached);
+    var updated = settled.vaults;
+    fetched.current = true;
+    if (persist) saveSnapshots(updated);
+    updated.forEach(function(v){ if (v.live) cached[v.id] = v; });
+    if (settled.error) setError(settled.error);
+    var next = {};
+    chains.forEach(function(id) {
+      var status = providerStatus(id);
+      next[id] = {host:status.host, failedOver:status.failovers>failoversBefore[id]};
+    });
+    setProviders(next);
+    setVaults(updated); setLastFetched(new Date()); setLoading(false);
+    return updated;
+  }, [entries, snapshots, persist]);
+  useEffect(function() { fetchAll(); var t=setInterval(fetchAll,60000); return function(){clearInterval(t);}; }, [fetchAll,tick]);
+  var staleAt = vaults.reduce(function(t,v){ return v.stale&&(t===null||v.fetchedAt<t) ? v.fetchedAt : t; }, null);
+  return { vaults, loading, error, lastFetched, providers, staleAt, fetchAll, retry:function(){setTick(function(c){return c+1;});} };
+}
+
+// Fee and gas estimate for depositing `amount` (asset units) into `vault`, re-read with each snapshot.
+// Keyed by vault id so a stale estimate never shows against another vault.
+export function useCosts(vault, amount, lastFetched) {
+  var [state,setState] = useState({id:null,costs:null,error:null});
+  var id = vault&&vault.id;
+  useEffect(function() {
+    if (!vault||!vault.live||!(amount>0)) return;
+    var cancelled = false;
+    var t = setTimeout(function() {
+      estimateCosts(vault, parseUnits(amount, vault.assetDecimals))
+        .then(function(c){ if (!cancelled) setState({id:id,costs:c,error:null}); })
+        .catch(function(e){ if (!cancelled) setState({id:id,costs:null,error:e.message}); });
+    }, 400);
+    return function(){ cancelled = true; clearTimeout(t); };
+  }, [id, vault&&vault.live, amount, lastFetched]);
+  return state.id===id ? state : {costs:null,error:null};
+}
+
+// CSV / JSON download pair. `get` returns { rows, json } and runs on click, so the file matches what is on screen.
+export function ExportButtons({name,get,disabled}) {
+  function save(kind) {
+    var d = get();
+    if (kind==='csv') download(name+'.csv', toCsv(d.rows), 'text/csv');
+    else download(name+'.json', toJson(d.json), 'application/json');
+  }
+  return (
+    <span className="flex gap-1">
+      {['csv','json'].map(function(k){return(
+        <button key={k} onClick={function(){save(k);}} disabled={disabled}
+          className="px-1.5 py-0.5 font-mono text-[10px] border border-[rgba(0,255,65,0.3)] text-[#00FF41] opacity-50 hover:opacity-100 disabled:opacity-15 disabled:cursor-not-allowed transition-opacity">
+          {k.toUpperCase()}
+        </button>
+      );})}
+    </span>
+  );
+}
+
+export function Sparkline({points,color,width,height}) {
+  var w = width||120, h = height||24;
+  if (!points||points.length<2) return null;
+  var prices = points.map(function(p){return p.price;});
+  var min = Math.min.apply(null,prices), max = Math.max.apply(null,prices), span = max-min||1;
+  var oldest = points[0].daysAgo||1;
+  var path = points.map(function(p){
+    return ((1-p.daysAgo/oldest)*(w-2)+1).toFixed(1)+','+(h-1-((p.price-min)/span)*(h-2)).toFixed(1);
+  }).join(' ');
+  return (
+    <svg width={w} height={h} viewBox={'0 0 '+w+' '+h} className="block">
+      <polyline points={path} fill="none" stroke={color} strokeWidth="1.5" style={{filter:'drop-shadow(0 0 3px '+color+')'}}/>
+    </svg>
+  );
+}
+
+var RISK_COLOR = { LOW:'#00FF41', MED:'#FFB800', HIGH:'#FF3131' };
+
+export function VaultCard({vault,selected,onClick,apyWindow,onRemove}) {
+  var borderColor = vault.institutional ? '#A855F7' : vault.borderColor;
+  var apy         = apyFor(vault, apyWindow);
+  var report      = vault.riskReport;
+  var loss        = report&&report.score!==null&&(report.metrics.negative.length||report.metrics.drawdown>0) ? report.metrics : null;
+  var nav         = vault.nav;
+  function ApyBadge() {
+    if (!vault.live&&apy===null&&!vault.institutional&&!vault.pending)
+      return <div className="h-6 w-14 bg-[rgba(0,255,65,0.08)] animate-pulse ml-auto"/>;
+    if (apy!==null)
+      return (<div><div className="font-black text-xl font-mono" style={{color:apy<0?'#FF3131':borderColor}}>{apy.toFixed(2)}%</div><div className="text-[10px] opacity-30 font-mono text-[#00FF41]">{windowLabel(apyWindow).toLowerCase()} APY</div></div>);
+    if (vault.institutional)
+      return (
+        <div className="text-right">
+          <div className="font-mono text-[11px] font-black px-2 py-0.5 border tracking-widest" style={{color:'#A855F7',borderColor:'rgba(168,85,247,0.5)',background:'rgba(168,85,247,0.08)',textShadow:'0 0 10px rgba(168,85,247,0.8)'}}>INSTITUTIONAL</div>
+          <div className="text-[9px] font-mono mt-0.5" style={{color:'rgba(168,85,247,0.6)'}}>{nav&&nav.apy!==null&&nav.apy!==undefined?nav.apy.toFixed(2)+'% NAV APY':'NAV TRACKED'}</div>
+        </div>
+      );
+    if (vault.pending)
+      return (
+        <div className="text-right">
+          <div className="font-mono text-[10px] font-bold px-2 py-0.5 border tracking-widest animate-pulse" style={{color:'#00FF41',borderColor:'rgba(0,255,65,0.4)',background:'rgba(0,255,65,0.06)'}}>PENDING</div>
+          <div className="text-[9px] opacity-40 font-mono text-[#00FF41] mt-0.5">COMING SOON</div>
+        </div>
+      );
+    return <div className="font-mono text-sm opacity-25 text-[#00FF41]">N/A</div>;
+  }
+  return (
+    <div className={'vault-card p-4 cursor-pointer '+(selected?'selected':'')} style={{borderColor:selected?borderColor:'rgba(0,255,65,0.2)'}} onClick={onClick}>
+      <div className="flex items-start justify-between mb-1">
+        <div>
+          <span className="font-mono font-black text-lg tracking-wider" style={{color:borderColor}}>{vault.displayName}</span>
+          <span className="font-mono text-xs opacity-40 ml-2 text-[#00FF41]">{vault.subtitle}</span>
+          <span className="font-mono text-[10px] opacity-30 ml-2 text-[#00FF41] border border-[rgba(0,255,65,0.3)] px-1">{CHAINS[vault.chainId]?CHAINS[vault.chainId].short:vault.chainId}</span>
+        </div>
+        <div className="text-right min-w-[80px]"><ApyBadge/></div>
+      </div>
+      <p className="font-mono text-xs opacity-35 text-[#00FF41] mb-2">{vault.description}</p>
+      {vault.history&&vault.history.length>1&&(
+        <div className="flex items-center gap-2 mb-2">
+          <Sparkline points={vault.history} color={borderColor}/>
+          <span className="font-mono text-[10px] opacity-30 text-[#00FF41]">{Math.round(vault.history[0].daysAgo)}d SHARE PRICE</span>
+        </div>
+      )}
+      {nav&&(
+        <div className="mb-2 px-2 py-1.5 font-mono text-[10px] border-l-2" style={{borderColor:'#A855F7',background:'rgba(168,85,247,0.06)',color:'#A855F7',opacity:0.8}}>
+          {nav.error ? '⬡ NAV updates could not be read: '+nav.error
+            : nav.last ? '⬡ NAV updated '+timeSince(nav.last.at)+' · '+(nav.last.changePct>=0?'+':'')+nav.last.changePct.toFixed(4)+'% · TVL '+(nav.last.tvlChange>=0?'+':'')+nav.last.tvlChange.toFixed(2)+' '+vault.assetSymbol+(nav.apy!==null?' · '+NAV_DAYS+'D REALISED '+nav.apy.toFixed(2)+'%':'')+' · '+nav.updates.length+' updates'
+            : '⬡ No NAV update in the last '+NAV_DAYS+'d'}
+        </div>
+      )}
+      {nav&&nav.overdue&&!nav.error&&(
+        <div className="mb-2 px-2 py-1.5 font-mono text-[10px] border-l-2 text-[#FF3131]" style={{borderColor:'#FF3131',background:'rgba(255,49,49,0.08)'}}>
+          ⚠ NAV UPDATE OVERDUE · expected every {nav.intervalHours}h{nav.last&&' · last '+Math.round(nav.ageHours)+'h ago'}
+        </div>
+      )}
+      {loss&&(
+        <div className="mb-2 px-2 py-1.5 font-mono text-[10px] border-l-2 text-[#FF3131]" style={{borderColor:'#FF3131',background:'rgba(255,49,49,0.08)'}}>
+          ⚠ NEGATIVE YIELD{loss.negative.map(function(n){return ' · '+n.label+' '+n.apy.toFixed(2)+'%';}).join('')}{loss.drawdown>0&&' · SHARE PRICE −'+loss.drawdown.toFixed(2)+'% FROM PEAK'}
+        </div>
+      )}
+      {vault.pending&&(<div className="mb-2 px-2 py-1.5 font-mono text-[10px] border-l-2" style={{borderColor:'#00FF41',background:'rgba(0,255,65,0.04)',color:'#00FF41',opacity:0.6}}>⧖ Vault deployed, no shares minted yet. Live data will appear once deposits go live.</div>)}
+      <div className="flex flex-wrap gap-3 text-xs font-mono opacity-40 text-[#00FF41]">
+        <span title={report?report.reasons.map(function(r){return '+'+r.points+' '+r.text;}).join('\n'):''}>RISK: <span style={{color:RISK_COLOR[vault.risk]||borderColor}}>{report&&report.score!==null?report.grade+' · '+vault.risk:vault.risk}</span></span>
+        {!vault.pending&&<span>TVL: {vault.tvl||'...'}{vault.tvlUsd!==null&&vault.tvlUsd!==undefined&&' · '+formatUSD(vault.tvlUsd)}</span>}
+        {vault.pending&&<span>TVL: PENDING</span>}
+      </div>
+      {selected&&report&&report.reasons.length>0&&(
+        <div className="mt-1 font-mono text-[10px] opacity-40 text-[#00FF41] space-y-0.5">
+          {report.reasons.map(function(r,i){return <div key={i}>+{r.points} {r.text}</div>;})}
+        </div>
+      )}
+      <div className="mt-2 flex items-center gap-2">
+        <div className="flex-1 font-mono text-[10px] opacity-15 text-[#00FF41] truncate">{vault.address}</div>
+        {onRemove&&<button onClick={function(e){e.stopPropagation();onRemove();}} className="font-mono text-[10px] text-[#FF3131] opacity-40 hover:opacity-90">[REMOVE]</button>}
+      </div>
+    </div>
+  );
+}
+
+// APY and TVL over this browser's saved snapshots of one vault, re-read after every refresh.
+function LocalHistory({vault,lastFetched}) {
+  var [points,setPoints] = useState([]);
+  var id = vault&&vault.id;
+  useEffect(function() {
+    if (!id) return;
+    var cancelled = false;
+    snapshotHistory(id).then(function(p){ if (!cancelled) setPoints(p); });
+    return function(){ cancelled = true; };
+  }, [id, lastFetched]);
+  if (points.length<2||points[0].vaultId!==id) return null;
+  var last = points[points.length-1];
+  function series(key) {
+    return points.filter(function(p){return p[key]!==null&&p[key]!==undefined;}).map(function(p){ return {daysAgo:(last.at-p.at)/86400000, price:p[key]}; });
+  }
+  return (
+    <div className="p-3 mb-5 border-2 border-[rgba(0,255,65,0.12)] font-mono">
+      <div className="flex items-center justify-between text-xs mb-2 opacity-35 text-[#00FF41]">
+        <span>LOCAL HISTORY · {points.length} SNAPSHOTS</span>
+        <span>SINCE {new Date(points[0].at).toISOString().slice(0,10)}</span>
+      </div>
+      <div className="grid grid-cols-2 gap-3">
+        {[['7D APY','apy',apyDisplay(last.apy)],['TVL','tvl',formatAssetAmount(last.tvl,vault.assetSymbol)]].map(function(s){return(
+          <div key={s[1]}>
+            <div className="flex justify-between text-[10px] mb-1 text-[#00FF41]"><span className="opacity-35">{s[0]}</span><span className="opacity-60">{s[2]}</span></div>
+            <Sparkline points={series(s[1])} color={vault.borderColor||'#00FF41'} width={120} height={28}/>
+          </div>
+        );})}
+      </div>
+    </div>
+  );
+}
+
+// `amount` is the deposit in asset units (null without a price to convert a USD input); `monthly` likewise.
+// Yield is projected in asset units net of fees and gas; USD is today's price and deliberately excludes price movement.
+// `compact` drops the exports, DCA, window picker, charts and bands for the embed.
+export function YieldLadder({amount,monthly,monthlyInput,setMonthlyInput,unit,costs,vault,selectedDays,setSelectedDays,apyWindow,setApyWindow,lastFetched,compact}) {
+  var apy   = apyFor(vault, apyWindow);
+  var bc    = vault&&vault.borderColor?vault.borderColor:'#00FF41';
+  var ok    = apy!==null&&amount!==null;
+  var sym   = vault&&vault.assetSymbol?vault.assetSymbol:'';
+  var base  = {amount:amount, apy:apy, monthly:monthly||0, costs:costInputs(vault,costs.costs)};
+  function run(d) { return ok ? project(Object.assign({}, base, {days:d})) : null; }
+  var sel   = run(selectedDays);
+  var rungs = horizonsWith(selectedDays);
+  var rows  = ok ? ladderRows(vault, base, rungs) : null;
+  var ys    = rungs.map(function(tf,i){return rows?rows[i].yield:0;});
+  var maxY  = Math.max.apply(null, ys.concat([0]));
+  var bands = ok ? apyBands(apy, vault.history) : null;
+  var runs  = projectBands(Object.assign({}, base, {days:selectedDays}), bands);
+  function setHorizon(v) { var d = Math.round(Number(v)); if (d>=1) setSelectedDays(Math.min(d, MAX_HORIZON)); }
+  return (
+    <div className="terminal-box p-5">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-[#00FF41] font-mono font-bold text-xl tracking-widest">PROJECTION MATRIX</h2>
+        {!compact&&<ExportButtons name={'concrete-yield-projection-'+(vault?vault.id:'none')} disabled={!rows}
+          get={function(){return {rows:rows, json:{vault:snapshotRow(vault), apyWindow:apyWindow, costs:base.costs, bands:bands, rungs:rows}};}}/>}
+      </div>
+      {vault&&!vault.live&&(
+        <div className="p-3 mb-4 border-2 border-[rgba(255,184,0,0.3)] flex items-center gap-2">
+          <RefreshCw size={11} className="text-[#FFB800] animate-spin"/>
+          <span className="font-mono text-xs text-[#FFB800]">
+            {vault.stale
+              ? 'STALE SNAPSHOT · block '+vault.blockNumber+' · '+timeSince(vault.fetchedAt)+' · waiting for '+chainLabel(vault.chainId)
+              : 'Fetching live APY from '+(CHAINS[vault.chainId]?CHAINS[vault.chainId].name:'chain '+vault.chainId)+'...'}
+          </span>
+        </div>
+      )}
+      <div className="flex gap-2 mb-3 flex-wrap">
+        {TIMEFRAMES.map(function(tf){return(
+          <button key={tf.label} onClick={function(){setSelectedDays(tf.days);}}
+            className={'px-3 py-1 font-mono text-sm border-2 transition-all '+(selectedDays===tf.days?'bg-[#00FF41] text-black border-[#00FF41] font-bold':'bg-transparent text-[#00FF41] border-[#00FF41] opacity-35 hover:opacity-90')}>
+            {tf.label}
+          </button>
+        );})}
+      </div>
+      <div className="flex items-center gap-2 mb-5 flex-wrap font-mono text-xs text-[#00FF41]">
+        <span className="opacity-35">HORIZON</span>
+        <input type="number" min="1" max={MAX_HORIZON} value={selectedDays} onChange={function(e){setHorizon(e.target.value);}} className="w-16 px-1 py-0.5 text-xs font-mono text-right"/>
+        <span className="opacity-35 mr-3">DAYS</span>
+        {!compact&&<span className="opacity-35">MONTHLY +</span>}
+        {!compact&&<input type="number" min="0" value={monthlyInput||''} onChange={function(e){setMonthlyInput(Math.max(0,parseFloat(e.target.value)||0));}} className="w-20 px-1 py-0.5 text-xs font-mono text-right" placeholder="0"/>}
+        {!compact&&<span className="opacity-35">{unit==='usd'?'USD':sym}</span>}
+      </div>
+      {!compact&&<div className="flex items-center gap-2 mb-5 flex-wrap">
+        <span className="font-mono text-xs opacity-35 text-[#00FF41] mr-1">APY WINDOW</span>
+        {APY_WINDOWS.map(function(w){
+          var a = apyFor(vault, w.days);
+          return(
+            <button key={w.label} onClick={function(){setApyWindow(w.days);}} title={apyDisplay(a)}
+              className={'px-2 py-0.5 font-mono text-xs border-2 transition-all '+(apyWindow===w.days?'bg-[#00FF41] text-black border-[#00FF41] font-bold':'bg-transparent text-[#00FF41] border-[#00FF41] opacity-35 hover:opacity-90')}>
+              {w.label}
+            </button>
+          );
+        })}
+      </div>}
+      {!compact&&vault&&vault.history&&vault.history.length>1&&(
+        <div className="p-3 mb-5 border-2 border-[rgba(0,255,65,0.12)]">
+          <div className="flex items-center justify-between text-xs font-mono mb-2">
+            <span className="opacity-35 text-[#00FF41]">SHARE PRICE · {Math.round(vault.history[0].daysAgo)}D</span>
+            <span style={{color:bc}}>ITD {vault.itd!==null?vault.itd.toFixed(2)+'%':'—'}</span>
+          </div>
+          <Sparkline points={vault.history} color={bc} width={260} height={40}/>
+          <div className="flex justify-between text-[10px] font-mono mt-2 opacity-40 text-[#00FF41]">
+            {APY_WINDOWS.map(function(w){return <span key={w.label}>{w.label} {apyDisplay(apyFor(vault,w.days))}</span>;})}
+          </div>
+        </div>
+      )}
+      {!compact&&<LocalHistory vault={vault} lastFetched={lastFetched}/>}
+      <div className="grid grid-cols-2 gap-3 mb-3">
+        {[
+          {icon:<DollarSign size={13}/>,label:sel&&sel.deposits>1?'INVESTED':'PRINCIPAL',value:amount!==null?formatAssetAmount(sel?sel.invested:amount,sym):'—', usd:toUsd(vault,sel?sel.invested:amount), color:'#00FF41'},
+          {icon:<Percent size={13}/>,   label:windowLabel(apyWindow)+' APY',value:apyDisplay(apy),                                                                color:bc},
+          {icon:<TrendingUp size={13}/>,label:'NET YIELD',  value:sel?formatAssetAmount(sel.yield,sym):'—', usd:sel?toUsd(vault,sel.yield):null, color:sel&&sel.yield<0?'#FF3131':bc},
+          {icon:<Activity size={13}/>,  label:'NET VALUE',  value:sel?formatAssetAmount(sel.net,sym):'—',   usd:sel?toUsd(vault,sel.net):null,   color:'#00FF41'},
+        ].map(function(s,i){return(
+          <div key={i} className="p-3 border-2 border-[rgba(0,255,65,0.12)]">
+            <div className="flex items-center gap-1 text-xs opacity-35 font-mono mb-1 text-[#00FF41]">{s.icon} {s.label}</div>
+            <div className="font-mono font-black text-lg" style={{color:s.color}}>{s.value}</div>
+            {s.usd!==null&&s.usd!==undefined&&<div className="font-mono text-[10px] opacity-40 text-[#00FF41]">{formatUSD(s.usd)}</div>}
+          </div>
+        );})}
+      </div>
+      <div className="mb-5 font-mono text-[10px] text-[#00FF41] opacity-40 space-y-0.5">
+        <div>COSTS · {costs.costs?costsLine(vault,costs.costs):costs.error?'ESTIMATE FAILED · '+costs.error.toUpperCase():'ESTIMATING · NOT YET INCLUDED'}</div>
+        {sel&&<div>GROSS {formatDual(sel.gross,vault)} · FEES {formatDual(sel.entryFees+sel.exitFee,vault)} · GAS {formatDual(sel.gas,vault)}{sel.deposits>1?' · '+sel.deposits+' DEPOSITS':''}</div>}
+      </div>
+      {runs&&!compact&&(
+        <div className="grid grid-cols-3 gap-2 mb-5">
+          {[['PESSIMISTIC','low','#FF3131'],['BASE','base',bc],['OPTIMISTIC','high','#00FF41']].map(function(b){return(
+            <div key={b[1]} className="p-2 border-2 border-[rgba(0,255,65,0.12)] font-mono">
+              <div className="text-[10px] opacity-35 text-[#00FF41]">{b[0]} · {bands[b[1]].toFixed(2)}%</div>
+              <div className="text-xs font-bold" style={{color:b[2]}}>{formatAssetAmount(runs[b[1]].net,sym)}</div>
+              {toUsd(vault,runs[b[1]].net)!==null&&<div className="text-[10px] opacity-40 text-[#00FF41]">{formatUSD(toUsd(vault,runs[b[1]].net))}</div>}
+            </div>
+          );})}
+          <div className="col-span-3 font-mono text-[10px] opacity-30 text-[#00FF41]">BANDS: APY ±{bands.sd.toFixed(2)} PTS (1σ OF HISTORICAL SHARE-PRICE RETURNS)</div>
+        </div>
+      )}
+      <div className="space-y-2 mb-4">
+        <div className="text-xs font-mono opacity-35 text-[#00FF41] mb-2">COMPOUNDING RUNGS · NET</div>
+        {rungs.map(function(tf,i){
+          var y   = ys[i];
+          var pct = maxY>0&&y>0?(y/maxY)*100:0;
+          return(
+            <div key={tf.label} className="flex items-center gap-3 cursor-pointer" onClick={function(){setSelectedDays(tf.days);}}>
+              <span className="font-mono text-xs w-10 opacity-40 text-[#00FF41]">{tf.label}</span>
+              <div className="flex-1 progress-bar"><div className="progress-fill transition-all duration-700" style={{width:pct+'%',background:bc,boxShadow:'0 0 8px '+bc}}/></div>
+              <span className="font-mono text-xs w-36 text-right" style={{color:y<0?'#FF3131':selectedDays===tf.days?bc:'rgba(0,255,65,0.4)'}}>{ok?formatDual(y,vault):'—'}</span>
+            </div>
+          );
+        })}
+      </div>
+      <div className="p-3 border-l-4 font-mono text-xs" style={{borderColor:bc}}>
+        <div className="opacity-40 text-[#00FF41] mb-1">DAILY DRIP · GROSS</div>
+        <span className="text-lg font-black" style={{color:bc}}>{ok?formatDual(compound(amount,apy,1)-amount,vault):'—'}</span>
+        <span className="opacity-35 text-[#00FF41]"> / day</span>
+      </div>
+      {vault&&vault.price&&(
+        <div className="mt-3 font-mono text-[10px] opacity-35 text-[#00FF41]">
+          {vault.priceUsd!==null
+            ? 'USD AT '+vault.price.label+' $'+vault.priceUsd.toFixed(2)+' · PRICE MOVEMENT NOT INCLUDED'
+            : vault.price.label+' UNAVAILABLE · '+vault.price.error.toUpperCase()}
+        </div>
+      )}
+    </div>
+  );
+}
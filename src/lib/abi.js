@@ -0,0 +1,156 @@
+/**
+ * Minimal ABI codec built on BigInt — uint256 values never pass through a
+ * float, so 18-decimal vaults keep every wei until display time.
+ */
+
+var MASK64 = (1n << 64n) - 1n;
+var RC = [
+  0x0000000000000001n, 0x0000000000008082n, 0x800000000000808An, 0x8000000080008000n,
+  0x000000000000808Bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+  0x000000000000008An, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000An,
+  0x000000008000808Bn, 0x800000000000008Bn, 0x8000000000008089n, 0x8000000000008003n,
+  0x8000000000008002n, 0x8000000000000080n, 0x000000000000800An, 0x800000008000000An,
+  0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n,
+];
+var ROT = [0,1,62,28,27, 36,44,6,55,20, 3,10,43,25,39, 41,45,15,21,8, 18,2,61,56,14];
+
+function rotl(x, n) { n = BigInt(n); return n ? ((x << n) | (x >> (64n - n))) & MASK64 : x; }
+
+function keccakF(s) {
+  for (var round=0; round<24; round++) {
+    var c = [], d = [], b = new Array(25), x, y;
+    for (x=0;x<5;x++) c[x] = s[x]^s[x+5]^s[x+10]^s[x+15]^s[x+20];
+    for (x=0;x<5;x++) d[x] = c[(x+4)%5] ^ rotl(c[(x+1)%5], 1);
+    for (x=0;x<25;x++) s[x] ^= d[x%5];
+    for (x=0;x<5;x++) for (y=0;y<5;y++) b[y + 5*((2*x+3*y)%5)] = rotl(s[x+5*y], ROT[x+5*y]);
+    for (x=0;x<5;x++) for (y=0;y<5;y++) s[x+5*y] = b[x+5*y] ^ (~b[(x+1)%5+5*y] & MASK64 & b[(x+2)%5+5*y]);
+    s[0] ^= RC[round];
+  }
+}
+
+/** keccak256 of a UTF-8 string, as 0x-prefixed hex. Only used for selectors and topics. */
+export function keccak256(text) {
+  var bytes = Array.from(new TextEncoder().encode(text));
+  var rate = 136;
+  bytes.push(0x01);
+  while (bytes.length % rate) bytes.push(0);
+  bytes[bytes.length-1] |= 0x80;
+  var s = new Array(25).fill(0n);
+  for (var off=0; off<bytes.length; off+=rate) {
+    for (var i=0;i<rate/8;i++) {
+      var lane = 0n;
+      for (var j=7;j>=0;j--) lane = (lane << 8n) | BigInt(bytes[off+i*8+j]);
+      s[i] ^= lane;
+    }
+    keccakF(s);
+  }
+  var out = '';
+  for (var k=0;k<4;k++) for (var m=0;m<8;m++) out += Number((s[k] >> BigInt(m*8)) & 0xffn).toString(16).padStart(2,'0');
+  return '0x' + out;
+}
+
+/** 4-byte function selector, e.g. selector('totalAssets()') → '0x01e1d114'. */
+export function selector(signature) { return keccak256(signature).slice(0,10); }
+
+/** 32-byte event topic0 for an event signature. */
+export function eventTopic(signature) { return keccak256(signature); }
+
+export function strip0x(hex) { return hex.indexOf('0x')===0 ? hex.slice(2) : hex; }
+export function padRight(hex) { var r = hex.length % 64; return r ? hex + '0'.repeat(64-r) : hex; }
+
+/** Encode one static head word. Accepts number, bigint, decimal string, address or bool. */
+export function encodeWord(type, value) {
+  if (type==='address') return strip0x(value).toLowerCase().padStart(64,'0');
+  if (type==='bool')    return (value ? '1' : '0').padStart(64,'0');
+  var n = BigInt(value);
+  if (n < 0n) throw new Error('ABI: negative ' + type);
+  return n.toString(16).padStart(64,'0');
+}
+
+/**
+ * Calldata for a call with static arguments only.
+ * encodeCall('convertToAssets(uint256)', [10n**18n])
+ */
+export function encodeCall(signature, args) {
+  var types = signature.slice(signature.indexOf('(')+1, -1).split(',').filter(Boolean);
+  if (types.length !== (args||[]).length) throw new Error('ABI: ' + signature + ' expects ' + types.length + ' args');
+  return selector(signature) + types.map(function(t,i){return encodeWord(t, args[i]);}).join('');
+}
+
+function wordAt(hex, index) { return strip0x(hex).slice(index*64, index*64+64); }
+
+export function decodeUint256(hex, index) {
+  if (!hex || hex==='0x') return 0n;
+  var w = wordAt(hex, index||0);
+  return w ? BigInt('0x' + w) : 0n;
+}
+
+/** Two's-complement int256, e.g. a Chainlink answer. */
+export function decodeInt256(hex, index) {
+  var n = decodeUint256(hex, index);
+  return n >= (1n << 255n) ? n - (1n << 256n) : n;
+}
+
+export function decodeAddress(hex, index) {
+  var w = wordAt(hex, index||0);
+  return w ? '0x' + w.slice(24) : null;
+}
+
+export function decodeBool(hex, index) { return decodeUint256(hex, index) === 1n; }
+
+/**
+ * Decode a `string` return. Older tokens (MKR and friends) return bytes32
+ * instead, so a single non-offset word is read as a null-padded string.
+ */
+export function decodeString(hex) {
+  var h = strip0x(hex||'');
+  if (!h) return '';
+  var bytes;
+  if (h.length === 64) {
+    bytes = h.replace(/(00)+$/,'');
+  } else {
+    var offset = Number(BigInt('0x' + h.slice(0,64))) * 2;
+    var len    = Number(BigInt('0x' + h.slice(offset, offset+64))) * 2;
+    bytes = h.slice(offset+64, offset+64+len);
+  }
+  var arr = new Uint8Array(bytes.length/2);
+  for (var i=0;i<arr.length;i++) arr[i] = parseInt(bytes.slice(i*2,i*2+2),16);
+  return new TextDecoder().decode(arr);
+}
+
+export function pow10(decimals) { return 10n ** BigInt(decimals); }
+
+// '1e+21' → '1000000000000000000000', '1.5e-7' → '0.00000015'; Number→String uses exponents outside 1e-7..1e21.
+function expandExponent(str) {
+  var m = /^(\d*)(?:\.(\d*))?e([+-]?\d+)$/i.exec(str);
+  if (!m) return str;
+  var digits = m[1]+(m[2]||''), point = m[1].length+Number(m[3]);
+  if (point<=0) return '0.'+'0'.repeat(-point)+digits;
+  if (point>=digits.length) return digits+'0'.repeat(point-digits.length);
+  return digits.slice(0,point)+'.'+digits.slice(point);
+}
+
+/** Decimal string or number → fixed-point BigInt, truncating extra fraction digits. */
+export function parseUnits(value, decimals) {
+  var str = expandExponent(String(value).trim());
+  if (!/^\d*\.?\d*$/.test(str) || str==='' || str==='.') throw new Error('ABI: invalid amount ' + value);
+  var parts = str.split('.');
+  var frac  = (parts[1]||'').slice(0,decimals).padEnd(decimals,'0');
+  return BigInt(parts[0]||'0') * pow10(decimals) + BigInt(frac||'0');
+}
+
+/** Fixed-point → float, for display only. Splits into whole and fractional parts to keep precision. */
+export function toFloat(value, decimals) {
+  var base = pow10(decimals);
+  var v = BigInt(value);
+  var neg = v < 0n; if (neg) v = -v;
+  var whole = v / base, frac = v % base;
+  var f = Number(whole) + Number(frac) / Number(base);
+  return neg ? -f : f;
+}
+
+/** a / b as a float, computed at 18 decimals of fixed-point precision first. */
+export function ratio(a, b) {
+  if (BigInt(b) === 0n) return NaN;
+  return toFloat(BigInt(a) * pow10(18) / BigInt(b), 18);
+}
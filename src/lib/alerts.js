@@ -0,0 +1,131 @@
+/**
+ * Watchlist alerts — per-vault rules checked against every refresh. Each
+ * vault's last seen APY / TVL / share price is kept in localStorage, so a
+ * change that happened while the tab was closed still fires on the first
+ * refresh after it is reopened. Threshold rules fire when the threshold is
+ * crossed, not on every refresh that stays past it.
+ */
+
+var RULES_KEY   = 'concrete-yield:watchlist';
+var HISTORY_KEY = 'concrete-yield:alerts';
+var SEEN_KEY    = 'concrete-yield:watchlist:seen';
+var MAX_HISTORY = 200;
+
+/** Rule kinds. `value` is an APY in percent, or a relative change in percent. */
+export const RULE_KINDS = [
+  {kind:'apy-above',  label:'APY ABOVE',   unit:'%'},
+  {kind:'apy-below',  label:'APY BELOW',   unit:'%'},
+  {kind:'apy-change', label:'APY MOVES',   unit:'%'},
+  {kind:'tvl-drop',   label:'TVL DROPS',   unit:'%'},
+  {kind:'price-down', label:'SHARE PRICE DOWN', unit:null},
+];
+
+export function ruleLabel(rule) {
+  var k = RULE_KINDS.find(function(r){return r.kind===rule.kind;});
+  if (!k) return rule.kind;
+  return k.label+(k.unit ? ' '+rule.value+k.unit : '');
+}
+
+function load(key, fallback) {
+  try {
+    if (typeof localStorage==='undefined') return fallback;
+    return JSON.parse(localStorage.getItem(key)||'null') || fallback;
+  } catch(e) { return fallback; }
+}
+function save(key, value) {
+  if (typeof localStorage==='undefined') return;
+  try { localStorage.setItem(key, JSON.stringify(value)); } catch(e) {}
+}
+
+export function loadRules() { return load(RULES_KEY, []); }
+export function saveRules(rules) { save(RULES_KEY, rules); }
+export function loadHistory() { return load(HISTORY_KEY, []); }
+/** Store the alert history, newest first, trimmed to the last MAX_HISTORY; returns what was kept. */
+export function saveHistory(history) {
+  history = history.slice(0, MAX_HISTORY);
+  save(HISTORY_KEY, history);
+  return history;
+}
+
+/** New rule; `value` is ignored for price-down. */
+export function makeRule(vaultId, kind, value) {
+  var now = Date.now();
+  return { id:kind+':'+vaultId+':'+now.toString(36), vaultId:vaultId, kind:kind, value:kind==='price-down' ? null : Number(value), created:now };
+}
+
+// What a rule needs from a snapshot; the raw share price stays a decimal string so it survives JSON.
+function seenOf(v) {
+  return { apy:v.apy, tvl:v.tvlRaw, pps:v.pricePerShare, price:v.sharePriceRaw!==undefined ? v.sharePriceRaw.toString() : null, at:v.fetchedAt };
+}
+
+function pctChange(from, to) { return from ? (to-from)/Math.abs(from)*100 : null; }
+
+// Alert text for one rule, or null. `prev` is the previous seen state; a rule added since then has
+// nothing to compare with yet, so a threshold it is already past fires once.
+function check(rule, v, prev) {
+  var apy = v.apy;
+  if (prev&&rule.created>prev.at) prev = null;
+  if (rule.kind==='apy-above'||rule.kind==='apy-below') {
+    if (apy===null||apy===undefined) return null;
+    var past = function(x){ return rule.kind==='apy-above' ? x>rule.value : x<rule.value; };
+    if (!past(apy)||(prev&&prev.apy!==null&&prev.apy!==undefined&&past(prev.apy))) return null;
+    return 'APY '+apy.toFixed(2)+'% is '+(rule.kind==='apy-above'?'above ':'below ')+rule.value+'%';
+  }
+  if (!prev) return null;
+  if (rule.kind==='apy-change') {
+    if (apy===null||prev.apy===null||prev.apy===undefined) return null;
+    var d = pctChange(prev.apy, apy);
+    if (d===null||Math.abs(d)<rule.value) return null;
+    return 'APY moved '+(d>0?'+':'')+d.toFixed(1)+'% ('+prev.apy.toFixed(2)+'% → '+apy.toFixed(2)+'%)';
+  }
+  if (rule.kind==='tvl-drop') {
+    var t = pctChange(prev.tvl, v.tvlRaw);
+    if (t===null||-t<rule.value) return null;
+    return 'TVL dropped '+(-t).toFixed(1)+'% ('+prev.tvl.toFixed(2)+' → '+v.tvlRaw.toFixed(2)+' '+v.assetSymbol+')';
+  }
+  if (rule.kind==='price-down') {
+    if (!prev.price||v.sharePriceRaw===undefined||!(v.sharePriceRaw<BigInt(prev.price))) return null;
+    return 'Share price down '+prev.pps.toFixed(6)+' → '+v.pricePerShare.toFixed(6)+' '+v.assetSymbol;
+  }
+  return null;
+}
+
+/**
+ * Check every rule against a refresh. Returns the new alerts as [{ id, at, ruleId, vaultId, vault, text }], and stores this refresh as
+ * the state the next one is compared with. Vaults that failed to load are
+ * skipped and keep their previous state.
+ */
+export function evaluate(rules, vaults) {
+  var seen = load(SEEN_KEY, {});
+  var now = Date.now(), alerts = [];
+  vaults.forEach(function(v) {
+    if (!v.live) return;
+    var prev = seen[v.id];
+    rules.forEach(function(rule) {
+      if (rule.vaultId!==v.id) return;
+      var text = check(rule, v, prev);
+      if (text) alerts.push({ id:rule.id+':'+now, at:now, ruleId:rule.id, vaultId:v.id, vault:v.displayName||v.id, text:text });
+    });
+    seen[v.id] = seenOf(v);
+  });
+  save(SEEN_KEY, seen);
+  return alerts;
+}
+
+/** SIMULATION LOG line for an alert, stamped with its wall-clock time. */
+export function alertLogLine(alert) {
+  return { ts:new Date(alert.at).toTimeString().slice(0,8), type:'warn', text:'ALERT → '+alert.vault+' · '+alert.text };
+}
+
+export function notificationsSupported() { return typeof window!=='undefined' && 'Notification' in window; }
+
+/** Ask for notification permission; call from a click so browsers allow the prompt. */
+export function requestNotifications() {
+  if (!notificationsSupported()||Notification.permission!=='default') return Promise.resolve(notificationsSupported() ? Notification.permission : 'unsupported');
+  return Notification.requestPermission();
+}
+
+export function notify(alert) {
+  if (!notificationsSupported()||Notification.permission!=='granted') return;
+  try { new Notification('CONCRETE.YIELD · '+alert.vault, {body:alert.text, tag:alert.ruleId}); } catch(e) {}
+}
@@ -0,0 +1,150 @@
+/**
+ * Timestamp → block resolution using only the RPC.
+ * Binary/interpolation search over eth_getBlockByNumber timestamps, seeded by
+ * the chain's average block time. Every search runs in lockstep so each probe
+ * round is one JSON-RPC batch. Resolved pairs are cached per chain in memory
+ * and localStorage. The explorer's getblocknobytime is only used, as a seed,
+ * when an Etherscan key is set.
+ */
+
+import { rpcCall, rpcBatch } from './chain';
+import { getChain, ETHERSCAN_KEY, DEFAULT_CHAIN } from './chains';
+import { tapeMode, clock, recordExplorer, replayExplorer } from './tape';
+
+var STORAGE_KEY = 'concrete-yield:blocks:';
+var MAX_CACHED  = 500;
+
+var caches = {}; // chainId → { [timestamp]: {number, timestamp} }
+
+function loadCache(chainId) {
+  if (caches[chainId]) return caches[chainId];
+  var cache = caches[chainId] = {};
+  try {
+    // A tape starts cold so recording and replay probe the same blocks.
+    if (typeof localStorage!=='undefined'&&tapeMode()==='live') {
+      var raw = JSON.parse(localStorage.getItem(STORAGE_KEY+chainId)||'{}');
+      Object.keys(raw).forEach(function(ts){ cache[ts] = {number:raw[ts][0], timestamp:raw[ts][1]}; });
+    }
+  } catch(e) {}
+  return cache;
+}
+
+function saveCache(chainId) {
+  if (typeof localStorage==='undefined'||tapeMode()!=='live') return;
+  var cache = caches[chainId];
+  var keys = Object.keys(cache).sort(function(a,b){return b-a;}).slice(0,MAX_CACHED);
+  var raw = {};
+  keys.forEach(function(ts){ raw[ts] = [cache[ts].number, cache[ts].timestamp]; });
+  try { localStorage.setItem(STORAGE_KEY+chainId, JSON.stringify(raw)); } catch(e) {}
+}
+
+function toPair(block) {
+  if (!block) throw new Error('RPC: block not found');
+  return { number:parseInt(block.number,16), timestamp:parseInt(block.timestamp,16) };
+}
+
+export async function getLatestBlock(chainId) {
+  return toPair(await rpcCall('eth_getBlockByNumber', ['latest', false], chainId));
+}
+
+async function explorerBlockAt(timestamp, chainId) {
+  var api = getChain(chainId).explorerApi;
+  var url = api+'?module=block&action=getblocknobytime&timestamp='+timestamp+'&closest=before&apikey='+ETHERSCAN_KEY;
+  if (tapeMode()==='replay') {
+    var saved = api ? replayExplorer(url) : undefined;
+    return saved&&saved.status==='1' ? parseInt(saved.result,10) : null;
+  }
+  if (!ETHERSCAN_KEY||!api) return null;
+  try {
+    var res  = await fetch(url);
+    var json = await res.json();
+    recordExplorer(url, json);
+    if (json.status==='1') return parseInt(json.result,10);
+  } catch(e) {}
+  return null;
+}
+
+/**
+ * Search for the last block with timestamp <= `target`, between `lo` (known
+ * to be at or before it, may be null) and `hi` (known to be after it).
+ * Yields block numbers to probe and receives their {number, timestamp}.
+ */
+function* search(target, lo, hi, seed, blockTime) {
+  if (!lo) {
+    var step  = Math.max(1, Math.ceil((hi.timestamp-target)/blockTime));
+    var guess = seed!==null&&seed!==undefined ? seed : hi.number-step;
+    while (!lo) {
+      var probe = yield Math.max(0, guess);
+      if (probe.timestamp<=target) lo = probe;
+      else { hi = probe; if (probe.number===0) return probe; step *= 2; guess = probe.number-step; }
+    }
+  }
+  var bisect = false;
+  while (hi.number-lo.number>1) {
+    // Interpolate on timestamps, falling back to plain bisection every other round.
+    var mid = bisect
+      ? Math.floor((lo.number+hi.number)/2)
+      : lo.number + Math.floor((target-lo.timestamp)*(hi.number-lo.number)/Math.max(1,hi.timestamp-lo.timestamp));
+    mid = Math.min(hi.number-1, Math.max(lo.number+1, mid));
+    var p = yield mid;
+    if (p.timestamp<=target) lo = p; else hi = p;
+    bisect = !bisect;
+  }
+  return lo;
+}
+
+// Tightest known brackets for `target` among cached pairs plus the latest block.
+function bracket(cache, target, latest) {
+  var lo = null, hi = latest;
+  Object.keys(cache).forEach(function(ts) {
+    var p = cache[ts];
+    if (p.timestamp<=target && (!lo||p.number>lo.number)) lo = p;
+    if (p.timestamp>target  && p.number<hi.number) hi = p;
+  });
+  return { lo:lo, hi:hi };
+}
+
+/**
+ * Resolve each unix timestamp in `timestamps` to the last block at or before
+ * it on `chainId`. Resolves to { latest, blocks: { [timestamp]: {number, timestamp} } }.
+ */
+export async function resolveTimestamps(timestamps, chainId) {
+  chainId = chainId||DEFAULT_CHAIN;
+  var cache  = loadCache(chainId);
+  var blockTime = getChain(chainId).blockTime;
+  var latest = await getLatestBlock(chainId);
+  var blocks = {};
+  var pending = timestamps.filter(function(ts) {
+    if (ts>=latest.timestamp) { blocks[ts] = latest; return false; }
+    if (cache[ts]) { blocks[ts] = cache[ts]; return false; }
+    return true;
+  });
+  var seeds = await Promise.all(pending.map(function(ts){return explorerBlockAt(ts, chainId);}));
+  var searches = pending.map(function(ts,i) {
+    var b = bracket(cache, ts, latest);
+    var it = search(ts, b.lo, b.hi, seeds[i], blockTime);
+    return { ts:ts, it:it, step:it.next() };
+  });
+  var active = searches.filter(function(s){return !s.step.done;});
+  while (active.length) {
+    var numbers = [];
+    active.forEach(function(s){ if (numbers.indexOf(s.step.value)<0) numbers.push(s.step.value); });
+    var results = await rpcBatch(numbers.map(function(n){return {method:'eth_getBlockByNumber',params:['0x'+n.toString(16),false]};}), chainId);
+    var byNumber = {};
+    results.forEach(function(r,i){ byNumber[numbers[i]] = toPair(r); });
+    active.forEach(function(s){ s.step = s.it.next(byNumber[s.step.value]); });
+    active = active.filter(function(s){return !s.step.done;});
+  }
+  searches.forEach(function(s){ blocks[s.ts] = cache[s.ts] = s.step.value; });
+  if (searches.length) saveCache(chainId);
+  return { latest:latest, blocks:blocks };
+}
+
+export async function findBlockByTimestamp(timestamp, chainId) {
+  return (await resolveTimestamps([timestamp], chainId)).blocks[timestamp];
+}
+
+export async function getBlockDaysAgo(days, chainId) {
+  var b = await findBlockByTimestamp(Math.floor(clock()/1000) - days*86400, chainId);
+  return '0x'+b.number.toString(16);
+}
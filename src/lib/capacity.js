@@ -0,0 +1,56 @@
+/**
+ * Capacity checks for a planned deposit: how much more the vault will take
+ * (maxDeposit, and maxMint at the snapshot's share price) and how much of
+ * the position could come straight back out. Instant exit liquidity is the
+ * underlying the vault holds idle; assets deployed to strategies have to be
+ * unwound first. previewWithdraw for the full amount shows whether the exit
+ * would revert outright, and a connected account's maxWithdraw is read for
+ * its existing position. One multicall round at the latest block.
+ */
+
+import { multicall } from './chain';
+import { encodeCall, decodeUint256, pow10, toFloat } from './abi';
+
+var NO_CAP = 2n**255n;  // Caps at or above this are "unlimited" (vaults return type(uint256).max).
+var ANYONE = '0x0000000000000000000000000000000000000000';
+
+function read(r) { return r&&r.success ? decodeUint256(r.returnData) : null; }
+function min(a, b) { return a===null ? b : b===null ? a : a<b ? a : b; }
+
+/**
+ * Check `assets` (raw BigInt, asset units) against `vault`. Resolves to
+ * { cap, overCap, idle, instant, instantPct, exitReverts, accountMaxWithdraw,
+ * warnings:[text] } with amounts as asset-unit floats. `cap` is null when
+ * the vault sets none, `idle` when the asset balance could not be read and
+ * `accountMaxWithdraw` without a connected account.
+ */
+export async function checkCapacity(vault, assets, account) {
+  var receiver = account||ANYONE;
+  var calls = [
+    {target:vault.address, callData:encodeCall('maxDeposit(address)',[receiver])},
+    {target:vault.address, callData:encodeCall('maxMint(address)',[receiver])},
+    {target:vault.address, callData:encodeCall('previewWithdraw(uint256)',[assets])},
+    {target:vault.address, callData:encodeCall('maxWithdraw(address)',[receiver])},
+  ];
+  if (vault.asset) calls.push({target:vault.asset, callData:encodeCall('balanceOf(address)',[vault.address])});
+  var r = await multicall(calls, 'latest', vault.chainId);
+  var d = vault.assetDecimals;
+  var maxDeposit = read(r[0]), maxMint = read(r[1]), idle = read(r[4]);
+  var mintCap = maxMint!==null&&maxMint<NO_CAP&&vault.sharePriceRaw>0n ? maxMint*vault.sharePriceRaw/pow10(vault.shareDecimals) : null;
+  var cap = min(maxDeposit!==null&&maxDeposit<NO_CAP ? maxDeposit : null, mintCap);
+  var instant = idle!==null ? min(idle, assets) : null;
+  var out = {
+    cap:cap!==null ? toFloat(cap,d) : null, overCap:cap!==null&&assets>cap,
+    idle:idle!==null ? toFloat(idle,d) : null, instant:instant!==null ? toFloat(instant,d) : null,
+    instantPct:instant!==null&&assets>0n ? Number(instant*10000n/assets)/100 : null,
+    exitReverts:!r[2].success, accountMaxWithdraw:account&&read(r[3])!==null ? toFloat(read(r[3]),d) : null,
+    warnings:[],
+  };
+  var sym = ' '+(vault.assetSymbol||'');
+  var zero = [['maxDeposit',maxDeposit],['maxMint',maxMint]].filter(function(l){return l[1]===0n;}).map(function(l){return l[0];});
+  if (cap===0n) out.warnings.push('Vault is not accepting deposits ('+(zero.length ? zero.join(' and ')+' 0' : 'maxMint is under one asset unit')+')');
+  else if (out.overCap) out.warnings.push('Deposit exceeds the remaining cap of '+out.cap.toFixed(2)+sym);
+  if (out.instantPct!==null&&out.instantPct<100) out.warnings.push('Only '+out.instant.toFixed(2)+sym+' ('+out.instantPct.toFixed(1)+'%) could exit immediately from idle liquidity');
+  if (out.exitReverts) out.warnings.push('previewWithdraw reverts for this amount — exit may not be possible now');
+  return out;
+}
@@ -0,0 +1,108 @@
+/**
+ * Chain access layer — JSON-RPC batching + Multicall3 aggregation.
+ * Every read for a given block goes out as one aggregate3 call, and
+ * independent RPCs share a single HTTP request as a JSON-RPC batch.
+ * Each helper takes an optional trailing chainId (default: mainnet).
+ */
+
+import { selector, strip0x, padRight, encodeWord } from './abi';
+import { sendRpc } from './providers';
+import { getChain } from './chains';
+
+var SEL_AGGREGATE3 = selector('aggregate3((address,bool,bytes)[])');
+
+var nextId = 1;
+
+export async function rpcCall(method, params, chainId) {
+  var json = await sendRpc({jsonrpc:'2.0',id:nextId++,method:method,params:params||[]}, chainId);
+  if (json.error) throw new Error('RPC: ' + json.error.message);
+  return json.result;
+}
+
+/**
+ * Send several independent RPCs in one HTTP request.
+ * `calls` is [{method, params}]; resolves to Promise.allSettled-style
+ * entries in the same order, so one bad item doesn't sink its neighbours.
+ */
+export async function rpcBatchSettled(calls, chainId) {
+  if (!calls.length) return [];
+  var firstId = nextId; nextId += calls.length;
+  var json = await sendRpc(calls.map(function(c,i){return {jsonrpc:'2.0',id:firstId+i,method:c.method,params:c.params||[]};}), chainId);
+  if (!Array.isArray(json)) throw new Error('RPC: ' + ((json&&json.error&&json.error.message)||'batch not supported'));
+  var byId = {};
+  json.forEach(function(r){byId[r.id]=r;});
+  return calls.map(function(c,i) {
+    var r = byId[firstId+i];
+    if (!r)      return {status:'rejected',reason:new Error('RPC: missing batch response for '+c.method)};
+    if (r.error) return {status:'rejected',reason:new Error('RPC: ' + r.error.message)};
+    return {status:'fulfilled',value:r.result};
+  });
+}
+
+export async function rpcBatch(calls, chainId) {
+  return (await rpcBatchSettled(calls, chainId)).map(function(r) {
+    if (r.status==='rejected') throw r.reason;
+    return r.value;
+  });
+}
+
+export async function ethCall(to, data, block, chainId) { return rpcCall('eth_call', [{to:to,data:data}, block||'latest'], chainId); }
+
+function word(n) { return encodeWord('uint256', n); }
+
+/** ABI-encode aggregate3 calldata for [{target, callData, allowFailure?}]. */
+export function encodeAggregate3(calls) {
+  var tuples = calls.map(function(c) {
+    var data = strip0x(c.callData);
+    return encodeWord('address', c.target)
+         + encodeWord('bool', c.allowFailure!==false)
+         + word(0x60)
+         + word(data.length/2) + padRight(data);
+  });
+  var offsets = []; var pos = calls.length*32;
+  tuples.forEach(function(t){ offsets.push(word(pos)); pos += t.length/2; });
+  return SEL_AGGREGATE3 + word(0x20) + word(calls.length) + offsets.join('') + tuples.join('');
+}
+
+/** Decode aggregate3 return data into [{success, returnData}]. */
+export function decodeAggregate3(hex) {
+  var h = strip0x(hex);
+  function readWord(byteOffset) { return parseInt(h.slice(byteOffset*2, byteOffset*2+64), 16); }
+  var arr = readWord(0);
+  var len = readWord(arr);
+  var base = arr + 32;
+  var out = [];
+  for (var i=0;i<len;i++) {
+    var tuple   = base + readWord(base + i*32);
+    var success = readWord(tuple) === 1;
+    var bytesAt = tuple + readWord(tuple + 32);
+    var size    = readWord(bytesAt);
+    out.push({ success:success, returnData:'0x' + h.slice((bytesAt+32)*2, (bytesAt+32+size)*2) });
+  }
+  return out;
+}
+
+/** Build the eth_call request for one aggregate3 round at `block`, against the chain's Multicall3. */
+export function multicallRequest(calls, block, chainId) {
+  return { method:'eth_call', params:[{to:getChain(chainId).multicall,data:encodeAggregate3(calls)}, block||'latest'] };
+}
+
+/**
+ * Run several multicall rounds (typically one per block) in one JSON-RPC batch.
+ * `rounds` is [{calls, block}]; resolves to settled entries whose value is
+ * [{success, returnData}] for that round.
+ */
+export async function multicallBatch(rounds, chainId) {
+  var results = await rpcBatchSettled(rounds.map(function(r){return multicallRequest(r.calls, r.block, chainId);}), chainId);
+  return results.map(function(r) {
+    if (r.status==='rejected') return r;
+    try { return {status:'fulfilled',value:decodeAggregate3(r.value)}; }
+    catch(e) { return {status:'rejected',reason:e}; }
+  });
+}
+
+export async function multicall(calls, block, chainId) {
+  var r = (await multicallBatch([{calls:calls, block:block}], chainId))[0];
+  if (r.status==='rejected') throw r.reason;
+  return r.value;
+}
@@ -0,0 +1,48 @@
+/**
+ * Chain configuration layer — per-chain RPC pool, explorer, average block
+ * time and Multicall3 address, from chains.config.json. Every chain-aware
+ * helper takes a numeric chainId and defaults to DEFAULT_CHAIN.
+ */
+
+import chainsConfig from '../../chains.config.json';
+
+export const DEFAULT_CHAIN = 1;
+export const ETHERSCAN_KEY = process.env.NEXT_PUBLIC_ETHERSCAN_KEY || '';
+
+// Next.js only inlines literal process.env reads, so each override is spelled out.
+var RPC_ENV = {
+  1:     process.env.NEXT_PUBLIC_RPC_URL,
+  10:    process.env.NEXT_PUBLIC_RPC_URL_10,
+  8453:  process.env.NEXT_PUBLIC_RPC_URL_8453,
+  42161: process.env.NEXT_PUBLIC_RPC_URL_42161,
+};
+
+function parseUrls(list) { return (list||'').split(',').map(function(u){return u.trim();}).filter(Boolean); }
+
+export const CHAINS = {};
+Object.keys(chainsConfig.chains).forEach(function(key) {
+  var c = chainsConfig.chains[key], id = Number(key);
+  var env = parseUrls(RPC_ENV[id]);
+  CHAINS[id] = Object.assign({}, c, { id:id, rpc:env.length ? env : c.rpc });
+});
+
+export const CHAIN_IDS = Object.keys(CHAINS).map(Number);
+
+/** Replace a chain's RPC list at runtime (the CLI's --rpc). Must run before the chain's first request. */
+export function overrideRpc(chainId, urls) {
+  var list = parseUrls(urls);
+  if (list.length) getChain(chainId).rpc = list;
+}
+
+export function getChain(chainId) {
+  var c = CHAINS[chainId||DEFAULT_CHAIN];
+  if (!c) throw new Error('Unsupported chain ' + chainId);
+  return c;
+}
+
+export function chainLabel(chainId) {
+  var c = CHAINS[chainId];
+  return c ? c.name+' ('+c.id+')' : 'Chain '+chainId;
+}
+
+export function explorerTx(chainId, hash) { return getChain(chainId).explorer+'/tx/'+hash; }
@@ -0,0 +1,143 @@
+/**
+ * The SIMULATION LOG prompt. A typed line is parsed into a command and run
+ * against the page through `ctx`, the same state and setters the buttons
+ * use; the result comes back as log lines ({ ts, type, text }) for the feed
+ * to append.
+ */
+
+import { getChain } from './chains';
+import { apyFor, windowLabel } from './history';
+import { MAX_HORIZON, project } from './projection';
+import { formatUSD, formatDual, toUsd, toAssetAmount, timeSince } from './format';
+import { costInputs } from './simulation';
+import { clock } from './tape';
+
+export const COMMANDS = [
+  { name:'help',    usage:'help',                         text:'List commands' },
+  { name:'status',  usage:'status',                       text:'Selected vault, deposit, horizon and last refresh' },
+  { name:'vault',   usage:'vault <id>',                   text:'Select a vault by id or name' },
+  { name:'deposit', usage:'deposit <amount> [usd|asset]', text:'Set the deposit, optionally switching its unit' },
+  { name:'horizon', usage:'horizon <days>',               text:'Set the projection horizon (1–'+MAX_HORIZON+' days)' },
+  { name:'compare', usage:'compare <id> <id> [...]',      text:'Project the deposit in several vaults side by side' },
+  { name:'refresh', usage:'refresh',                      text:'Re-read every vault now' },
+  { name:'run',     usage:'run',                          text:'Replay the full simulation' },
+  { name:'clear',   usage:'clear',                        text:'Clear the terminal' },
+];
+
+/** `input` → { name, args }. Throws on an empty line or an unknown command. */
+export function parseCommand(input) {
+  var words = String(input).trim().split(/\s+/).filter(Boolean);
+  if (!words.length) throw new Error('Nothing to run');
+  var name = words[0].toLowerCase();
+  if (!COMMANDS.some(function(c){return c.name===name;})) throw new Error('Unknown command: '+words[0]+' — type help');
+  return { name:name, args:words.slice(1) };
+}
+
+function findVault(vaults, ref) {
+  var key = ref.toLowerCase();
+  return vaults.find(function(v){return v.id.toLowerCase()===key;})
+    || vaults.find(function(v){return (v.displayName||'').toLowerCase()===key;});
+}
+
+function usage(name) { return new Error('Usage: '+COMMANDS.find(function(c){return c.name===name;}).usage); }
+
+// The deposit in `vault`'s asset units. An asset-unit deposit is carried over at its USD value, since other vaults hold other assets.
+function amountIn(vault, ctx) {
+  if (ctx.unit==='usd') return toAssetAmount(ctx.principal, 'usd', vault);
+  if (vault.id===ctx.vault.id) return ctx.principal;
+  return toAssetAmount(toUsd(ctx.vault, ctx.principal), 'usd', vault);
+}
+
+function statusLines(ctx) {
+  var v = ctx.vault;
+  var lines = [{type:'info', text:'REFRESHED: '+timeSince(ctx.lastFetched&&ctx.lastFetched.getTime())+' · '+ctx.vaults.filter(function(x){return x.live;}).length+'/'+ctx.vaults.length+' LIVE'}];
+  if (!v) return lines.concat([{type:'error', text:'No vault selected'}]);
+  var apy    = apyFor(v, ctx.apyWindow);
+  var amount = toAssetAmount(ctx.principal, ctx.unit, v);
+  lines.push({type:'info', text:'VAULT: '+v.id+' — '+v.displayName+' on '+getChain(v.chainId).short+(v.riskReport&&v.riskReport.score!==null?' · RISK '+v.riskReport.grade+' · '+v.risk:'')});
+  lines.push({type:'info', text:'DEPOSIT: '+(ctx.unit==='usd'?formatUSD(ctx.principal):ctx.principal+' '+v.assetSymbol)+(amount!==null?' → '+formatDual(amount,v):'')});
+  lines.push({type:'info', text:'HORIZON: '+ctx.days+'d · '+windowLabel(ctx.apyWindow)+' APY '+(apy!==null?apy.toFixed(2)+'%':'N/A')});
+  if (apy!==null&&amount!==null) {
+    var r = project({amount:amount, apy:apy, days:ctx.days, monthly:ctx.monthly, costs:costInputs(v, ctx.costs)});
+    lines.push({type:'yield', text:'NET YIELD: '+formatDual(r.yield,v)+' ('+(r.roi!==null?r.roi.toFixed(2)+'%':'—')+')'+(ctx.costs?'':' — fees and gas not estimated')});
+  }
+  return lines;
+}
+
+function compareLines(args, ctx) {
+  if (args.length<2) throw usage('compare');
+  if (!ctx.vault) throw new Error('Select a vault first — the deposit is priced in its unit');
+  var lines = [], best = null;
+  args.forEach(function(ref) {
+    var v = findVault(ctx.vaults, ref);
+    if (!v) { lines.push({type:'error', text:'No vault "'+ref+'"'}); return; }
+    var apy = apyFor(v, ctx.apyWindow), amount = amountIn(v, ctx);
+    if (apy===null) { lines.push({type:'error', text:v.id+': no '+windowLabel(ctx.apyWindow)+' APY'}); return; }
+    if (amount===null) { lines.push({type:'error', text:v.id+': no USD price to convert the deposit'}); return; }
+    var r   = project({amount:amount, apy:apy, days:ctx.days});
+    var usd = toUsd(v, r.yield);
+    lines.push({type:'yield', text:v.id+' · '+apy.toFixed(2)+'% · +'+formatDual(r.yield,v)+(v.riskReport&&v.riskReport.score!==null?' · RISK '+v.riskReport.grade:'')});
+    if (usd!==null&&(best===null||usd>best.usd)) best = {id:v.id, usd:usd};
+  });
+  if (best) lines.push({type:'result', text:'BEST OVER '+ctx.days+'d: '+best.id+' (+'+formatUSD(best.usd)+', gross of fees and gas)'});
+  return lines;
+}
+
+/**
+ * Run one typed line. `ctx` holds the page state (vaults, vault, principal,
+ * unit, monthly, days, apyWindow, costs, lastFetched) and the actions
+ * (selectVault, setPrincipal, setUnit, setDays, refresh, run, clear).
+ * Resolves to the log lines to append; errors come back as `error` lines.
+ */
+export async function runCommand(input, ctx) {
+  var ts = new Date(clock()).toTimeString().slice(0,8);
+  var lines = [{type:'cmd', text:input.trim()}];
+  try {
+    var cmd = parseCommand(input), a = cmd.args;
+    switch (cmd.name) {
+      case 'help':
+        lines = lines.concat(COMMANDS.map(function(c){ return {type:'info', text:c.usage+' — '+c.text}; }));
+        break;
+      case 'status':
+        lines = lines.concat(statusLines(ctx));
+        break;
+      case 'vault':
+        if (a.length!==1) throw usage('vault');
+        var v = findVault(ctx.vaults, a[0]);
+        if (!v) throw new Error('No vault "'+a[0]+'" — one of: '+ctx.vaults.map(function(x){return x.id;}).join(', '));
+        ctx.selectVault(v);
+        lines.push({type:'result', text:'VAULT → '+v.displayName+' on '+getChain(v.chainId).short+' · '+windowLabel(ctx.apyWindow)+' APY '+(apyFor(v,ctx.apyWindow)!==null?apyFor(v,ctx.apyWindow).toFixed(2)+'%':'N/A')});
+        break;
+      case 'deposit':
+        var n = Number(a[0]), unit = (a[1]||ctx.unit).toLowerCase();
+        if (!a.length||a.length>2||!(n>0)) throw usage('deposit');
+        if (unit!=='usd'&&unit!=='asset') throw usage('deposit');
+        if (unit!==ctx.unit) ctx.setUnit(unit);
+        ctx.setPrincipal(n);
+        lines.push({type:'result', text:'DEPOSIT → '+(unit==='usd'?formatUSD(n):n+' '+(ctx.vault?ctx.vault.assetSymbol:'asset units'))});
+        break;
+      case 'horizon':
+        var d = Math.round(Number(a[0]));
+        if (a.length!==1||!(d>=1)) throw usage('horizon');
+        ctx.setDays(Math.min(d, MAX_HORIZON));
+        lines.push({type:'result', text:'HORIZON → '+Math.min(d, MAX_HORIZON)+'d'+(d>MAX_HORIZON?' (capped)':'')});
+        break;
+      case 'compare':
+        lines = lines.concat(compareLines(a, ctx));
+        break;
+      case 'refresh':
+        var updated = await ctx.refresh();
+        lines.push({type:'result', text:'REFRESHED → '+updated.filter(function(x){return x.live;}).length+'/'+updated.length+' LIVE'});
+        break;
+      case 'run':
+        ctx.run();
+        break;
+      case 'clear':
+        ctx.clear();
+        return [];
+    }
+  } catch(e) {
+    lines.push({type:'error', text:e.message});
+  }
+  return lines.map(function(l){ return Object.assign({ts:ts}, l); });
+}
@@ -0,0 +1,91 @@
+/**
+ * Embed mode: the one-vault card and projection at /embed/, for partner
+ * pages to show in an iframe. It is configured by query parameters and
+ * driven by the host page over postMessage. Every message, in either
+ * direction, is { source:'concrete-yield', type, ... }.
+ *
+ *   host → embed   setPrincipal { principal, unit? } · setVault { vault } · setHorizon { days }
+ *   embed → host   ready · apy · tvl · projection · error
+ *
+ * `origin` pins both directions to one host origin. Without it, updates go
+ * to any parent and commands are taken from any sender; everything sent is
+ * public on-chain data.
+ */
+
+import { decodeScenario } from './scenario';
+import { apyFor } from './history';
+import { MAX_HORIZON, project } from './projection';
+import { toUsd, toAssetAmount } from './format';
+import { costInputs } from './simulation';
+
+export const MESSAGE_SOURCE = 'concrete-yield';
+export const THEMES = ['dark', 'light', 'transparent'];
+
+/**
+ * Query string → { vault, principal, unit, days, apyWindow, theme, origin }.
+ * `vault` is a registry id or chainId:address, null for the first listed vault.
+ * The shared params parse as in scenario links.
+ */
+export function decodeEmbed(search) {
+  var q = new URLSearchParams(search||'');
+  var s = decodeScenario(search);
+  return {
+    vault:q.get('vault')||null, principal:s.principal, unit:s.unit, days:s.days, apyWindow:s.apyWindow,
+    theme:THEMES.indexOf(q.get('theme'))>=0 ? q.get('theme') : 'dark',
+    origin:q.get('origin')||'*',
+  };
+}
+
+/** The vault a reference names, by registry id or chainId:address, or undefined. */
+export function findEmbedVault(vaults, ref) {
+  if (!ref) return undefined;
+  var m = /^(\d+):(0x[0-9a-fA-F]{40})$/.exec(ref);
+  return vaults.find(function(v) {
+    return m ? v.chainId===Number(m[1])&&v.address.toLowerCase()===m[2].toLowerCase() : v.id===ref;
+  });
+}
+
+export function embedMessage(type, payload) { return Object.assign({source:MESSAGE_SOURCE, type:type}, payload); }
+
+/**
+ * Host command → { type, ... } with its values checked; null for messages
+ * that are not for the embed. Throws on a malformed command.
+ */
+export function readMessage(data) {
+  if (!data||data.source!==MESSAGE_SOURCE) return null;
+  switch (data.type) {
+    case 'setPrincipal':
+      var principal = Number(data.principal);
+      if (!isFinite(principal)||principal<0) throw new Error('setPrincipal: principal must be a number ≥ 0');
+      if (data.unit!==undefined&&data.unit!=='usd'&&data.unit!=='asset') throw new Error('setPrincipal: unit must be usd or asset');
+      return { type:'setPrincipal', principal:principal, unit:data.unit };
+    case 'setVault':
+      if (typeof data.vault!=='string'||!data.vault) throw new Error('setVault: vault must be a registry id or chainId:address');
+      return { type:'setVault', vault:data.vault };
+    case 'setHorizon':
+      var days = Math.round(Number(data.days));
+      if (!(days>=1)) throw new Error('setHorizon: days must be ≥ 1');
+      return { type:'setHorizon', days:Math.min(days, MAX_HORIZON) };
+    default:
+      throw new Error('Unknown message type: '+data.type);
+  }
+}
+
+/**
+ * The apy, tvl and projection messages for what the embed shows. Amounts are
+ * in the vault's asset units with USD alongside (null without a price).
+ */
+export function updateMessages(vault, s) {
+  var id = {vault:vault.id, chainId:vault.chainId, address:vault.address, live:!!vault.live, blockNumber:vault.blockNumber||null};
+  var apy    = apyFor(vault, s.apyWindow);
+  var amount = toAssetAmount(s.principal, s.unit, vault);
+  var r = apy!==null&&amount!==null ? project({amount:amount, apy:apy, days:s.days, costs:costInputs(vault, s.costs)}) : null;
+  return [
+    embedMessage('apy', Object.assign({apy:apy, window:s.apyWindow, apys:vault.apys||{}}, id)),
+    embedMessage('tvl', Object.assign({tvl:vault.tvlRaw!==undefined?vault.tvlRaw:null, tvlUsd:vault.tvlUsd!==undefined?vault.tvlUsd:null, asset:vault.assetSymbol||null}, id)),
+    embedMessage('projection', Object.assign({
+      principal:s.principal, unit:s.unit, days:s.days, amount:amount, costsIncluded:!!s.costs,
+      net:r?r.net:null, yield:r?r.yield:null, roi:r?r.roi:null, netUsd:r?toUsd(vault,r.net):null, yieldUsd:r?toUsd(vault,r.yield):null,
+    }, id)),
+  ];
+}
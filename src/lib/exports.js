@@ -0,0 +1,31 @@
+/**
+ * CSV / JSON downloads for reporting. Raw on-chain values stay BigInt in
+ * the app; both formats write them as decimal strings so no wei is lost.
+ */
+
+function plain(key, value) { return typeof value==='bigint' ? value.toString() : value; }
+
+export function toJson(value) { return JSON.stringify(value, plain, 2); }
+
+function cell(v) {
+  if (v===null||v===undefined) return '';
+  var s = typeof v==='bigint' ? v.toString() : String(v);
+  return /[",\n]/.test(s) ? '"'+s.replace(/"/g,'""')+'"' : s;
+}
+
+/** Flat objects → CSV text, one column per key of the first row unless `columns` is given. */
+export function toCsv(rows, columns) {
+  var cols = columns || (rows[0] ? Object.keys(rows[0]) : []);
+  return [cols.join(',')].concat(rows.map(function(r) {
+    return cols.map(function(c){return cell(r[c]);}).join(',');
+  })).join('\n') + '\n';
+}
+
+/** Save `text` as a file through a temporary object URL. */
+export function download(filename, text, type) {
+  var url = URL.createObjectURL(new Blob([text], {type:type||'text/plain'}));
+  var a = document.createElement('a');
+  a.href = url; a.download = filename;
+  document.body.appendChild(a); a.click(); a.remove();
+  setTimeout(function(){ URL.revokeObjectURL(url); }, 0);
+}
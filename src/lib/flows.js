@@ -0,0 +1,146 @@
+/**
+ * Capital flows from a vault's ERC-4626 Deposit and Withdraw events, pulled
+ * with eth_getLogs over the last FLOW_DAYS. Indexed ranges and their events
+ * are remembered per vault, so a refresh only reads the new blocks. Window
+ * boundaries are the same snapped history blocks the APY reads resolve, so
+ * they come from the block cache. Holder concentration reads balanceOf for
+ * the accounts seen in the window: holders who have not moved since are not
+ * seen, and the panel says how much of the supply that covers. Every
+ * refresh also indexes each vault's events for the risk check
+ * (fetchFlowStats), so the panel usually finds them already read.
+ */
+
+import { multicall, rpcBatchSettled } from './chain';
+import { getChain } from './chains';
+import { getLogs } from './logs';
+import { resolveTimestamps } from './blocks';
+import { historyTargets } from './history';
+import { encodeCall, decodeUint256, eventTopic, toFloat, ratio } from './abi';
+import { clock } from './tape';
+
+export const FLOW_WINDOWS = [1, 7, 30];
+export const FLOW_DAYS = 30;
+var TOP_MOVES   = 5;
+var MAX_HOLDERS = 200; // Accounts read with balanceOf, most active first.
+
+var DEPOSIT  = eventTopic('Deposit(address,address,uint256,uint256)');
+var WITHDRAW = eventTopic('Withdraw(address,address,address,uint256,uint256)');
+
+var indexed = {}; // chainId:address → { from, to, events }
+
+// Deposit(sender, owner, assets, shares) and Withdraw(sender, receiver, owner, assets, shares); the owner is the account whose shares move.
+function decodeFlow(log, config) {
+  var deposit = log.topics[0]===DEPOSIT;
+  return {
+    kind:deposit?'deposit':'withdraw', block:parseInt(log.blockNumber,16), tx:log.transactionHash,
+    account:'0x'+log.topics[deposit?2:3].slice(26), assets:toFloat(decodeUint256(log.data,0),config.assetDecimals),
+  };
+}
+
+async function indexFlows(config, fromBlock, toBlock) {
+  var key = config.chainId+':'+config.address.toLowerCase();
+  var idx = indexed[key];
+  if (!idx||idx.from>fromBlock||idx.to>toBlock) idx = { from:fromBlock, to:fromBlock-1, events:[] };
+  var logs = await getLogs({address:config.address, topics:[[DEPOSIT,WITHDRAW]]}, idx.to+1, toBlock, config.chainId);
+  var events = idx.events.concat(logs.map(function(l){return decodeFlow(l, config);})).filter(function(e){return e.block>=fromBlock;});
+  indexed[key] = { from:fromBlock, to:toBlock, events:events };
+  return events;
+}
+
+// TVL at the history sample nearest `days` ago, or null without one.
+function tvlAgo(vault, days) {
+  var p = (vault.history||[]).find(function(s){return Math.round(s.daysAgo)===days;});
+  return p&&p.tvl!==null ? p.tvl : null;
+}
+
+function unique(list) { return list.filter(function(a,i){return list.indexOf(a)===i;}); }
+
+// balanceOf for the most active accounts; top-holder shares are of the whole supply.
+async function holderConcentration(vault, events) {
+  var activity = {};
+  events.forEach(function(e){ activity[e.account] = (activity[e.account]||0)+e.assets; });
+  var accounts = Object.keys(activity).sort(function(a,b){return activity[b]-activity[a];}).slice(0, MAX_HOLDERS);
+  if (!accounts.length||!(vault.totalSupply>0n)) return null;
+  var res = await multicall(accounts.map(function(a){ return {target:vault.address, callData:encodeCall('balanceOf(address)',[a])}; }), 'latest', vault.chainId);
+  var holders = accounts.map(function(a,i){ return {account:a, shares:res[i].success?decodeUint256(res[i].returnData):0n}; })
+    .filter(function(h){return h.shares>0n;})
+    .sort(function(a,b){return a.shares<b.shares?1:a.shares>b.shares?-1:0;});
+  function pct(shares) { return ratio(shares, vault.totalSupply)*100; }
+  var seen = holders.reduce(function(s,h){return s+h.shares;}, 0n);
+  return {
+    top:holders.slice(0,10).map(function(h){ return {account:h.account, pct:pct(h.shares)}; }),
+    top1:holders.length ? pct(holders[0].shares) : 0,
+    top10:pct(holders.slice(0,10).reduce(function(s,h){return s+h.shares;}, 0n)),
+    read:accounts.length, seenPct:pct(seen),
+  };
+}
+
+// Block timestamps for the few largest moves, in one batch. A header that cannot be read falls back to an
+// estimate from the chain's average block time, marked `approx`.
+async function withTimes(moves, latest, chainId) {
+  var blocks = unique(moves.map(function(e){return e.block;}));
+  var res = [];
+  if (blocks.length) {
+    try { res = await rpcBatchSettled(blocks.map(function(b){ return {method:'eth_getBlockByNumber', params:['0x'+b.toString(16), false]}; }), chainId); }
+    catch(e) { console.warn('Block times for the largest flows failed:', e.message); }
+  }
+  return moves.map(function(e) {
+    var r = res[blocks.indexOf(e.block)];
+    if (r&&r.status==='fulfilled'&&r.value) return Object.assign({}, e, {at:parseInt(r.value.timestamp,16)*1000, approx:false});
+    return Object.assign({}, e, {at:(latest.timestamp-(latest.number-e.block)*getChain(chainId).blockTime)*1000, approx:true});
+  });
+}
+
+/**
+ * Deposit / Withdraw totals over FLOW_DAYS for the risk check: { days, count,
+ * gross, largest:{ kind, assets, block } }. `gross` adds every event's assets
+ * in and out, so moves that cancel each other still count; `largest` is null
+ * without events. `fromBlock` is the FLOW_DAYS history block plus one.
+ */
+export async function fetchFlowStats(config, fromBlock, toBlock) {
+  var events = await indexFlows(config, fromBlock, toBlock);
+  var largest = events.reduce(function(m,e){return !m||e.assets>m.assets?e:m;}, null);
+  return {
+    days:FLOW_DAYS, count:events.length, gross:events.reduce(function(s,e){return s+e.assets;}, 0),
+    largest:largest ? {kind:largest.kind, assets:largest.assets, block:largest.block} : null,
+  };
+}
+
+/**
+ * Flows for one vault snapshot. Resolves to { windows, depositors, largest,
+ * holders, events, fromBlock, toBlock }. Each window ({ days, inflow,
+ * outflow, net, deposits, withdrawals, depositors, tvlChange, yieldChange,
+ * apy }) splits the TVL change into net flows and what is left, the yield
+ * earned on the assets already in; both are null without a TVL sample.
+ * `largest` are the biggest single events, each with its block's time `at`.
+ */
+export async function fetchFlows(vault) {
+  var targets  = historyTargets(Math.floor(clock()/1000)).filter(function(t){return FLOW_WINDOWS.indexOf(t.days)>=0;});
+  var resolved = await resolveTimestamps(targets.map(function(t){return t.timestamp;}), vault.chainId);
+  var latest   = resolved.latest;
+  var since    = {};
+  targets.forEach(function(t){ since[t.days] = resolved.blocks[t.timestamp].number; });
+  var events   = await indexFlows(vault, since[FLOW_DAYS]+1, latest.number);
+
+  var windows = FLOW_WINDOWS.map(function(days) {
+    var inWindow = events.filter(function(e){return e.block>since[days];});
+    var ins  = inWindow.filter(function(e){return e.kind==='deposit';});
+    var outs = inWindow.filter(function(e){return e.kind==='withdraw';});
+    var inflow  = ins.reduce(function(s,e){return s+e.assets;}, 0);
+    var outflow = outs.reduce(function(s,e){return s+e.assets;}, 0);
+    var then = tvlAgo(vault, days);
+    var tvlChange = then!==null ? vault.tvlRaw-then : null;
+    return {
+      days:days, inflow:inflow, outflow:outflow, net:inflow-outflow, deposits:ins.length, withdrawals:outs.length,
+      depositors:unique(ins.map(function(e){return e.account;})).length,
+      tvlChange:tvlChange, yieldChange:tvlChange!==null ? tvlChange-(inflow-outflow) : null,
+      apy:vault.apys&&vault.apys[days]!==undefined ? vault.apys[days] : null,
+    };
+  });
+  var top = events.slice().sort(function(a,b){return b.assets-a.assets||b.block-a.block;}).slice(0, TOP_MOVES);
+  return {
+    windows:windows, largest:await withTimes(top, latest, vault.chainId), events:events.length, fromBlock:since[FLOW_DAYS]+1, toBlock:latest.number,
+    depositors:unique(events.filter(function(e){return e.kind==='deposit';}).map(function(e){return e.account;})).length,
+    holders:await holderConcentration(vault, events),
+  };
+}
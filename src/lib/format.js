@@ -0,0 +1,42 @@
+/**
+ * Display formatting shared by the page and the CLI. Amounts are floats in
+ * the vault's asset units; USD is always today's oracle price.
+ */
+
+export function formatUSD(n) {
+  if (!n && n !== 0) return '—';
+  if (n >= 1000000) return '$' + (n/1000000).toFixed(2) + 'M';
+  if (n >= 1000)    return '$' + (n/1000).toFixed(2) + 'K';
+  return '$' + n.toFixed(2);
+}
+export function formatAssetAmount(n, symbol) {
+  if (n >= 1000000) return (n/1000000).toFixed(2) + 'M ' + symbol;
+  if (n >= 1000)    return (n/1000).toFixed(2) + 'K ' + symbol;
+  return n.toFixed(4) + ' ' + symbol;
+}
+// USD value of an asset amount at the vault's current oracle price, or null without a usable price.
+export function toUsd(vault, amount) {
+  return vault&&vault.priceUsd!==null&&vault.priceUsd!==undefined&&amount!==null&&amount!==undefined ? amount*vault.priceUsd : null;
+}
+// Asset units first, USD alongside when the oracle has a fresh price.
+export function formatDual(amount, vault) {
+  if (amount===null||amount===undefined||!vault) return '—';
+  var usd = toUsd(vault, amount);
+  return formatAssetAmount(amount, vault.assetSymbol||'') + (usd!==null ? ' · '+formatUSD(usd) : '');
+}
+// Deposit inputs are in USD or asset units; projections and transactions always work in asset units.
+export function toAssetAmount(value, unit, vault) {
+  if (unit==='asset') return value;
+  return vault&&vault.priceUsd ? value/vault.priceUsd : null;
+}
+export function apyDisplay(apy) {
+  if (apy === null || apy === undefined) return 'N/A';
+  return apy.toFixed(2) + '%';
+}
+export function timeSince(ts) {
+  if (!ts) return '—';
+  var s = Math.floor((Date.now() - ts) / 1000);
+  if (s < 60)   return s + 's ago';
+  if (s < 3600) return Math.floor(s/60) + 'm ago';
+  return Math.floor(s/3600) + 'h ago';
+}
@@ -0,0 +1,82 @@
+/**
+ * Share-price history — samples convertToAssets at several past blocks and
+ * turns them into windowed APYs, an inception-to-date return and a sparkline.
+ */
+
+import { toFloat, ratio, pow10 } from './abi';
+
+export const APY_WINDOWS = [
+  { label:'24H', days:1 }, { label:'7D', days:7 }, { label:'30D', days:30 }, { label:'90D', days:90 },
+];
+export const DEFAULT_APY_WINDOW = 7;
+
+// Every APY window is also a sparkline point; the extra days just fill in the line.
+export const HISTORY_DAYS = [90,75,60,45,30,21,14,7,3,1];
+
+// Targets are snapped to this grid so consecutive refreshes hit the block cache.
+// APYs use the real elapsed time between the resolved blocks, so snapping costs no accuracy.
+var HISTORY_GRANULARITY = 900;
+
+/** [{days, timestamp}] sample targets relative to `nowSec`. */
+export function historyTargets(nowSec) {
+  var anchor = Math.floor(nowSec/HISTORY_GRANULARITY)*HISTORY_GRANULARITY;
+  return HISTORY_DAYS.map(function(d){ return { days:d, timestamp:anchor-d*86400 }; });
+}
+
+/**
+ * Annualised APY (%) between two raw share prices `days` (may be fractional)
+ * apart, or null when out of sanity bounds. A falling share price gives a
+ * negative APY; it is kept so the loss is shown, not hidden.
+ */
+export function annualise(priceNow, pricePast, days) {
+  if (!(pricePast>0n&&priceNow>0n)) return null;
+  var computed = (Math.pow(ratio(priceNow,pricePast), 365/days)-1)*100;
+  return (!isNaN(computed)&&computed>=-100&&computed<=50000) ? computed : null;
+}
+
+/**
+ * { [days]: apy|null } for each APY window with a sample. `elapsed` maps each
+ * window to the actual days between its block and the current one.
+ */
+export function computeApys(priceNow, samples, elapsed) {
+  var out = {};
+  APY_WINDOWS.forEach(function(w) {
+    out[w.days] = samples[w.days]!==undefined ? annualise(priceNow, samples[w.days], (elapsed&&elapsed[w.days])||w.days) : null;
+  });
+  return out;
+}
+
+/**
+ * Return (%) since the vault opened. ERC-4626 vaults start at one asset unit
+ * per share, so the current share price already encodes the cumulative yield.
+ */
+export function inceptionReturn(priceNow, decimals) {
+  if (!(priceNow>0n)) return null;
+  return (ratio(priceNow, pow10(decimals))-1)*100;
+}
+
+/**
+ * Oldest-first [{daysAgo, price, tvl}] for the sparkline and the risk checks;
+ * missing samples are skipped. `assets` is { now, samples } of raw
+ * totalAssets on the same blocks, when read; `tvl` is null without it.
+ */
+export function buildSeries(priceNow, samples, decimals, elapsed, assets) {
+  function tvl(raw) { return raw!==undefined ? toFloat(raw,decimals) : null; }
+  var series = HISTORY_DAYS.filter(function(d){return samples[d]>0n;}).map(function(d) {
+    return { daysAgo:(elapsed&&elapsed[d])||d, price:toFloat(samples[d],decimals), tvl:tvl(assets&&assets.samples[d]) };
+  });
+  if (priceNow>0n) series.push({ daysAgo:0, price:toFloat(priceNow,decimals), tvl:tvl(assets&&assets.now) });
+  return series;
+}
+
+/** APY for the chosen window, falling back to the 7d figure for vaults without history. */
+export function apyFor(vault, days) {
+  if (!vault) return null;
+  if (vault.apys&&vault.apys[days]!==undefined) return vault.apys[days];
+  return days===DEFAULT_APY_WINDOW ? vault.apy : null;
+}
+
+export function windowLabel(days) {
+  var w = APY_WINDOWS.find(function(w){return w.days===days;});
+  return w ? w.label : days+'D';
+}
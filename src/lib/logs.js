@@ -0,0 +1,67 @@
+/**
+ * eth_getLogs over long block ranges. A range is cut into chunks of the
+ * chain's `logRange` blocks (public endpoints cap the span of one request),
+ * sent as JSON-RPC batches of at most MAX_BATCH chunks, one batch after
+ * another. A batch the endpoint rejects whole is halved and resent, and the
+ * smaller size is kept for the rest of the scan; a chunk it rejects is split
+ * in half and retried, down to a single block.
+ */
+
+import { rpcBatchSettled } from './chain';
+import { getChain } from './chains';
+import { eventTopic } from './abi';
+
+var DEFAULT_LOG_RANGE = 5000;
+var MAX_BATCH = 20; // Chunks per JSON-RPC batch; public endpoints reject or truncate large batches.
+
+/** topic0 of the ERC-20 / ERC-4626 events every vault emits in normal use. */
+export const STANDARD_TOPICS = [
+  'Transfer(address,address,uint256)',
+  'Approval(address,address,uint256)',
+  'Deposit(address,address,uint256,uint256)',
+  'Withdraw(address,address,address,uint256,uint256)',
+].map(eventTopic);
+
+function hex(n) { return '0x'+n.toString(16); }
+
+function chunks(from, to, size) {
+  var out = [];
+  for (var start=from; start<=to; start+=size) out.push([start, Math.min(to, start+size-1)]);
+  return out;
+}
+
+function request(filter, p) {
+  return { method:'eth_getLogs', params:[Object.assign({}, filter, {fromBlock:hex(p[0]), toBlock:hex(p[1])})] };
+}
+
+// `state.batch` shrinks for the rest of the scan once the endpoint rejects a batch of that size.
+async function fetchChunks(filter, parts, chainId, state) {
+  var logs = [], i = 0;
+  while (i<parts.length) {
+    var page = parts.slice(i, i+state.batch), results;
+    try {
+      results = await rpcBatchSettled(page.map(function(p){return request(filter, p);}), chainId);
+    } catch(e) {
+      if (page.length>1) { state.batch = Math.ceil(page.length/2); continue; }
+      results = [{status:'rejected', reason:e}];
+    }
+    for (var j=0;j<page.length;j++) {
+      var r = results[j], p = page[j];
+      if (r.status==='fulfilled') { logs = logs.concat(r.value); continue; }
+      if (p[0]===p[1]) throw r.reason;
+      var mid = Math.floor((p[0]+p[1])/2);
+      logs = logs.concat(await fetchChunks(filter, [[p[0],mid],[mid+1,p[1]]], chainId, state));
+    }
+    i += page.length;
+  }
+  return logs;
+}
+
+/**
+ * Every log matching `filter` ({ address, topics }) in [fromBlock, toBlock],
+ * oldest first. Block numbers in the returned logs are left as the RPC's hex.
+ */
+export async function getLogs(filter, fromBlock, toBlock, chainId) {
+  if (toBlock<fromBlock) return [];
+  return fetchChunks(filter, chunks(fromBlock, toBlock, getChain(chainId).logRange||DEFAULT_LOG_RANGE), chainId, {batch:MAX_BATCH});
+}
@@ -0,0 +1,99 @@
+/**
+ * NAV tracking for vaults whose share price is set by an accounting update
+ * (config `nav`) rather than moving with every block. The vault's own logs
+ * over the last NAV_DAYS are scanned with eth_getLogs. Every block with an
+ * event that is not a plain ERC-20 / ERC-4626 one — or only `nav.event`,
+ * when the update's signature is configured — is a candidate, and the share
+ * price and totalAssets are read just before and at that block. Candidates
+ * where the share price moved make up the NAV series. A refresh reads at
+ * most MAX_CANDIDATES blocks, oldest first and NAV_PAGE at a time, so a
+ * vault that emits other events all day costs a bounded number of requests.
+ * Scanned ranges are remembered per vault and the cursor stops before the
+ * first unread candidate, so later refreshes pick up where this one left off.
+ */
+
+import { rpcBatch, multicallBatch } from './chain';
+import { getLogs, STANDARD_TOPICS } from './logs';
+import { selector, encodeCall, decodeUint256, eventTopic, pow10, toFloat } from './abi';
+import { annualise } from './history';
+
+export const NAV_DAYS = 30;
+var OVERDUE_GRACE = 1.5; // An update is overdue after this many expected intervals.
+var MAX_CANDIDATES = 90; // Three a day over NAV_DAYS.
+var NAV_PAGE = 10;       // Candidates per batch: two multicall rounds each, then their headers.
+
+var scans = {}; // chainId:address → { from, to, updates }
+
+function navCalls(config) {
+  return [
+    {target:config.address, callData:encodeCall('convertToAssets(uint256)', [pow10(config.shareDecimals)])},
+    {target:config.address, callData:selector('totalAssets()')},
+  ];
+}
+
+function readRound(r) {
+  if (r.status==='rejected'||!r.value[0].success||!r.value[1].success) return null;
+  return { price:decodeUint256(r.value[0].returnData), assets:decodeUint256(r.value[1].returnData) };
+}
+
+// Share price and TVL either side of each candidate block, plus the block's timestamp.
+async function readUpdates(config, blocks, chainId) {
+  if (!blocks.length) return [];
+  var rounds = [];
+  blocks.forEach(function(b){ rounds.push({calls:navCalls(config), block:'0x'+(b-1).toString(16)}, {calls:navCalls(config), block:'0x'+b.toString(16)}); });
+  var results = await multicallBatch(rounds, chainId);
+  var headers = await rpcBatch(blocks.map(function(b){ return {method:'eth_getBlockByNumber', params:['0x'+b.toString(16), false]}; }), chainId);
+  var d = config.assetDecimals;
+  var out = [];
+  blocks.forEach(function(b,i) {
+    var before = readRound(results[i*2]), after = readRound(results[i*2+1]);
+    if (!before||!after||before.price===after.price||!(before.price>0n)) return;
+    out.push({
+      block:b, at:parseInt(headers[i].timestamp,16)*1000, priceRaw:after.price, prevRaw:before.price,
+      price:toFloat(after.price,d), changePct:(toFloat(after.price,d)/toFloat(before.price,d)-1)*100,
+      tvl:toFloat(after.assets,d), tvlChange:toFloat(after.assets,d)-toFloat(before.assets,d),
+    });
+  });
+  return out;
+}
+
+/**
+ * NAV series for one `nav` vault between `fromBlock` and `latest`
+ * ({number, timestamp}). Resolves to { updates (oldest first), last, apy,
+ * days, intervalHours, ageHours, overdue, skipped }. `apy` is realised
+ * between the first and last update in the window, null with fewer than
+ * two. `skipped` counts the candidate blocks left for the next refresh;
+ * until they are read the series may miss the newest updates, so the scan is
+ * not called overdue.
+ */
+export async function fetchNav(config, fromBlock, latest, chainId) {
+  var key = chainId+':'+config.address.toLowerCase();
+  var scan = scans[key];
+  if (!scan||scan.from>fromBlock||scan.to>latest.number) scan = { from:fromBlock, to:fromBlock-1, updates:[] };
+  var filter = { address:config.address };
+  if (config.nav.event) filter.topics = [eventTopic(config.nav.event)];
+  var logs = await getLogs(filter, scan.to+1, latest.number, chainId);
+  var blocks = [];
+  logs.forEach(function(l) {
+    var b = parseInt(l.blockNumber,16);
+    if (!config.nav.event&&STANDARD_TOPICS.indexOf(l.topics[0])>=0) return;
+    if (blocks.indexOf(b)<0) blocks.push(b);
+  });
+  var unread = blocks.slice(MAX_CANDIDATES);
+  blocks = blocks.slice(0, MAX_CANDIDATES);
+  var found = [];
+  for (var i=0;i<blocks.length;i+=NAV_PAGE) found = found.concat(await readUpdates(config, blocks.slice(i, i+NAV_PAGE), chainId));
+  var updates = scan.updates.concat(found).filter(function(u){ return u.block>=fromBlock; });
+  scans[key] = { from:fromBlock, to:unread.length ? unread[0]-1 : latest.number, updates:updates };
+
+  var interval = config.nav.intervalHours||24;
+  var last  = updates.length ? updates[updates.length-1] : null;
+  var first = updates[0];
+  var days  = last&&first!==last ? (last.at-first.at)/86400000 : null;
+  var ageHours = last ? (latest.timestamp*1000-last.at)/3600000 : null;
+  return {
+    updates:updates, last:last, days:days, intervalHours:interval, ageHours:ageHours, skipped:unread.length,
+    apy:days ? annualise(last.priceRaw, first.priceRaw, days) : null,
+    overdue:unread.length ? false : last ? ageHours>interval*OVERDUE_GRACE : true,
+  };
+}
@@ -0,0 +1,95 @@
+/**
+ * Portfolio maths — split one principal across several vaults, by percent or
+ * by amount. Every slice compounds at its own vault's APY, so combined
+ * figures are sums of per-vault projections, not one blended compounding.
+ * Amounts are in the principal's unit (USD); price moves are not modelled.
+ */
+
+import { apyFor } from './history';
+import { compound } from './projection';
+
+export const RISK_LEVELS = ['LOW','MED','HIGH'];
+
+/** Position of a risk label in RISK_LEVELS; unrated vaults rank above HIGH. */
+export function riskRank(risk) {
+  var i = RISK_LEVELS.indexOf(risk);
+  return i<0 ? RISK_LEVELS.length : i;
+}
+
+export function compoundYield(amount, apyPct, days) {
+  return amount ? compound(amount, apyPct, days) - amount : 0;
+}
+
+/**
+ * Turn raw inputs { [vaultId]: number } into [{id, amount, weight}] against
+ * `total`. In 'pct' mode values are percentages, in 'amount' mode absolute
+ * amounts. Empty and non-positive entries are dropped; whatever is left over
+ * is reported as `unallocated` (negative when over-allocated).
+ */
+export function allocate(values, total, mode) {
+  var slices = Object.keys(values).filter(function(id){return values[id]>0;}).map(function(id) {
+    var amount = mode==='pct' ? total*values[id]/100 : values[id];
+    return { id:id, amount:amount, weight:total>0 ? amount/total : 0 };
+  });
+  var used = slices.reduce(function(s,x){return s+x.amount;},0);
+  return { slices:slices, total:total, allocated:used, unallocated:total-used };
+}
+
+/** Allocation-weighted APY over the slices whose vault has an APY for the window. */
+export function blendedApy(slices, vaultsById, apyWindow) {
+  var weight = 0, sum = 0;
+  slices.forEach(function(s) {
+    var apy = apyFor(vaultsById[s.id], apyWindow);
+    if (apy===null) return;
+    weight += s.amount; sum += s.amount*apy;
+  });
+  return weight>0 ? sum/weight : null;
+}
+
+/**
+ * Per-vault and combined yield at each horizon in `days`.
+ * Returns { rows:[{id, amount, apy, yields:{[days]:n}}], combined:{[days]:n} }.
+ */
+export function portfolioLadder(slices, vaultsById, apyWindow, days) {
+  var combined = {};
+  days.forEach(function(d){ combined[d] = 0; });
+  var rows = slices.map(function(s) {
+    var apy = apyFor(vaultsById[s.id], apyWindow);
+    var yields = {};
+    days.forEach(function(d){ yields[d] = compoundYield(s.amount, apy, d); combined[d] += yields[d]; });
+    return { id:s.id, amount:s.amount, apy:apy, yields:yields };
+  });
+  return { rows:rows, combined:combined };
+}
+
+/** Vaults ranked by the yield the whole `total` would earn over `days`; vaults without an APY go last. */
+export function rankByYield(vaults, apyWindow, total, days) {
+  return vaults.map(function(v) {
+    var apy = apyFor(v, apyWindow);
+    return { vault:v, apy:apy, yield:apy===null ? null : compoundYield(total, apy, days) };
+  }).sort(function(a,b) {
+    if (a.yield===null||b.yield===null) return a.yield===null ? (b.yield===null?0:1) : -1;
+    return b.yield-a.yield;
+  });
+}
+
+/**
+ * Highest-yield allocation among vaults rated at or below `maxRisk`, with no
+ * vault taking more than `maxPct` percent. Greedy by APY, which is optimal
+ * for a linear objective under a per-vault cap. Returns { [vaultId]: pct };
+ * the percentages may sum below 100 when too few vaults qualify.
+ */
+export function optimise(vaults, apyWindow, maxRisk, maxPct) {
+  var cap = riskRank(maxRisk);
+  var eligible = vaults.filter(function(v) {
+    var apy = apyFor(v, apyWindow);
+    return apy!==null && apy>0 && riskRank(v.risk)<=cap;
+  }).sort(function(a,b){return apyFor(b,apyWindow)-apyFor(a,apyWindow);});
+  var left = 100, out = {};
+  eligible.forEach(function(v) {
+    if (left<=0) return;
+    var pct = Math.min(maxPct, left);
+    out[v.id] = pct; left -= pct;
+  });
+  return out;
+}
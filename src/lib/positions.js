@@ -0,0 +1,63 @@
+/**
+ * A connected account's position in each vault, read through Multicall3:
+ * balanceOf, maxWithdraw and maxRedeem first, then convertToAssets(balance)
+ * for vaults where the account holds shares. Vaults are read on their own
+ * chain, one pair of rounds per chain.
+ */
+
+import { multicallBatch } from './chain';
+import { encodeCall, decodeUint256, toFloat } from './abi';
+
+function positionCalls(config, account) {
+  return [
+    {target:config.address, callData:encodeCall('balanceOf(address)',[account])},
+    {target:config.address, callData:encodeCall('maxWithdraw(address)',[account])},
+    {target:config.address, callData:encodeCall('maxRedeem(address)',[account])},
+  ];
+}
+
+function read(r) { return r&&r.success ? decodeUint256(r.returnData) : null; }
+
+/**
+ * Resolves to { [vaultId]: position|null } where position holds BigInt
+ * `shares`, `assets`, `maxWithdraw`, `maxRedeem` plus display floats.
+ */
+export async function fetchPositions(configs, account) {
+  var chains = [];
+  configs.forEach(function(c){ if (chains.indexOf(c.chainId)<0) chains.push(c.chainId); });
+  var parts = await Promise.all(chains.map(function(chainId) {
+    return fetchChainPositions(configs.filter(function(c){return c.chainId===chainId;}), account, chainId);
+  }));
+  return Object.assign.apply(null, [{}].concat(parts));
+}
+
+async function fetchChainPositions(configs, account, chainId) {
+  var first = (await multicallBatch([{calls:[].concat.apply([],configs.map(function(c){return positionCalls(c,account);}))}], chainId))[0];
+  if (first.status==='rejected') throw first.reason;
+  var base = configs.map(function(c,i) {
+    var r = first.value.slice(i*3,i*3+3);
+    return { shares:read(r[0]), maxWithdraw:read(r[1]), maxRedeem:read(r[2]) };
+  });
+  var holders = configs.filter(function(c,i){return base[i].shares>0n;});
+  var assets  = {};
+  if (holders.length) {
+    var second = (await multicallBatch([{calls:holders.map(function(c){
+      return {target:c.address, callData:encodeCall('convertToAssets(uint256)',[base[configs.indexOf(c)].shares])};
+    })}], chainId))[0];
+    if (second.status==='fulfilled') holders.forEach(function(c,i){ assets[c.id] = read(second.value[i]); });
+  }
+  var out = {};
+  configs.forEach(function(c,i) {
+    var b = base[i];
+    if (b.shares===null) { out[c.id] = null; return; }
+    var a = b.shares>0n ? (assets[c.id]!==undefined&&assets[c.id]!==null ? assets[c.id] : null) : 0n;
+    out[c.id] = {
+      shares:b.shares, assets:a, maxWithdraw:b.maxWithdraw, maxRedeem:b.maxRedeem,
+      sharesFloat:toFloat(b.shares,c.shareDecimals),
+      assetsFloat:a!==null ? toFloat(a,c.assetDecimals) : null,
+      maxWithdrawFloat:b.maxWithdraw!==null ? toFloat(b.maxWithdraw,c.assetDecimals) : null,
+      maxRedeemFloat:b.maxRedeem!==null ? toFloat(b.maxRedeem,c.shareDecimals) : null,
+    };
+  });
+  return out;
+}
@@ -0,0 +1,59 @@
+/**
+ * USD prices from Chainlink aggregators. Each chain's `feeds` in
+ * chains.config.json maps an underlying asset to its USD aggregator and
+ * heartbeat. latestRoundData rides along in the vault's own multicall round,
+ * so a price costs no extra request. A round older than its heartbeat (plus
+ * grace), non-positive, or not answered in the current round is treated as
+ * no price at all rather than a wrong one. Each chain's `native` feed
+ * prices its gas token, for gas estimates.
+ */
+
+import { getChain } from './chains';
+import { encodeCall, decodeUint256, decodeInt256, toFloat } from './abi';
+
+var STALE_GRACE = 1.5; // Heartbeat multiple before a round counts as stale.
+
+/** Feed config ({label, aggregator, heartbeat}) for a vault's underlying asset, or null. */
+export function feedFor(config) {
+  if (!config.asset) return null;
+  var feeds = getChain(config.chainId).feeds || {};
+  var key = Object.keys(feeds).find(function(a){return a.toLowerCase()===config.asset.toLowerCase();});
+  return key ? feeds[key] : null;
+}
+
+/** The chain's gas-token USD feed, or null. */
+export function nativeFeed(chainId) { return getChain(chainId).native || null; }
+
+/** Multicall entries for a feed: latestRoundData() then decimals(). Empty without a feed. */
+export function feedCalls(feed) {
+  if (!feed) return [];
+  return [
+    {target:feed.aggregator, callData:encodeCall('latestRoundData()',[])},
+    {target:feed.aggregator, callData:encodeCall('decimals()',[])},
+  ];
+}
+
+export function priceCalls(config) { return feedCalls(feedFor(config)); }
+
+/**
+ * Read feedCalls results. Returns null without a feed, else
+ * { label, usd, updatedAt, stale, error } where `usd` is null unless the
+ * round is fresh and valid.
+ */
+export function readFeed(feed, results, nowSec) {
+  if (!feed) return null;
+  var out = { label:feed.label, usd:null, updatedAt:null, stale:false, error:null };
+  if (!results[0]||!results[0].success||!results[1]||!results[1].success) { out.error = 'feed read reverted'; return out; }
+  var roundId    = decodeUint256(results[0].returnData, 0);
+  var answer     = decodeInt256(results[0].returnData, 1);
+  var updatedAt  = Number(decodeUint256(results[0].returnData, 3));
+  var answeredIn = decodeUint256(results[0].returnData, 4);
+  out.updatedAt = updatedAt*1000;
+  if (answer<=0n)                               out.error = 'non-positive answer';
+  else if (answeredIn<roundId)                  out.error = 'round not answered';
+  else if (nowSec-updatedAt>feed.heartbeat*STALE_GRACE) { out.stale = true; out.error = 'stale — last update '+Math.round((nowSec-updatedAt)/60)+'m ago'; }
+  else out.usd = toFloat(answer, Number(decodeUint256(results[1].returnData)));
+  return out;
+}
+
+export function readPrice(config, results, nowSec) { return readFeed(feedFor(config), results, nowSec); }
@@ -0,0 +1,91 @@
+/**
+ * Projection engine — compounds a deposit day by day at a constant APY and
+ * charges what a real position pays: the vault's entry/exit fee (preview vs
+ * fee-free conversion), gas for approve/deposit/redeem, and the same again
+ * for each recurring monthly deposit. Scenario bands rerun the projection at
+ * the APY shifted by one standard deviation of the vault's historical
+ * share-price returns. All amounts are in the vault's asset units.
+ */
+
+// Typical gas for each step; real use varies by token and vault strategy.
+export const GAS_UNITS = { approve:46000, deposit:180000, redeem:150000 };
+export const DCA_INTERVAL = 30;
+export const MAX_HORIZON = 3650;
+var MIN_SEGMENT_DAYS = 2; // Shorter share-price segments annualise into noise.
+
+/** Plain compounding (daily) with no costs. */
+export function compound(amount, apyPct, days) {
+  if (!apyPct) return amount;
+  return amount * Math.pow(1 + apyPct/100/365, days);
+}
+
+/**
+ * Project a position over `days`. `p` is { amount, apy, days, monthly?,
+ * costs? } where costs is { entryPct, exitPct, gasEntry, gasExit } with gas
+ * already in asset units (null when it could not be priced). The app
+ * approves exact amounts, so every deposit pays gasEntry (approve + deposit).
+ * Returns { invested, deposits, gross, entryFees, exitFee, gas, net, yield, roi };
+ * `gross` is the value before exit, `net` what a redeem would actually return.
+ */
+export function project(p) {
+  var c = p.costs || {};
+  var entryPct = c.entryPct||0, exitPct = c.exitPct||0;
+  var gasEntry = c.gasEntry||0, gasExit = c.gasExit||0;
+  var rate = p.apy ? p.apy/100/365 : 0;
+  var balance = 0, invested = 0, entryFees = 0, gas = 0, deposits = 0;
+  function deposit(amount) {
+    if (!(amount>0)) return;
+    var fee = amount*entryPct/100;
+    balance += amount-fee; invested += amount; entryFees += fee; gas += gasEntry; deposits++;
+  }
+  deposit(p.amount);
+  var whole = Math.floor(p.days);
+  for (var d=1; d<=whole; d++) {
+    balance *= 1+rate;
+    if (p.monthly && d%DCA_INTERVAL===0 && d<p.days) deposit(p.monthly);
+  }
+  if (p.days>whole) balance *= Math.pow(1+rate, p.days-whole);
+  var exitFee = balance*exitPct/100;
+  gas += gasExit;
+  var net = balance - exitFee - gas;
+  return {
+    invested:invested, deposits:deposits, gross:balance, entryFees:entryFees, exitFee:exitFee, gas:gas,
+    net:net, yield:net-invested, roi:invested>0 ? (net-invested)/invested*100 : null,
+  };
+}
+
+/**
+ * Standard deviation (in APY points) of annualised returns between
+ * consecutive share-price samples, from a vault's oldest-first history
+ * series. Null with fewer than two usable segments.
+ */
+export function apyVolatility(history) {
+  if (!history||history.length<3) return null;
+  var apys = [];
+  for (var i=1;i<history.length;i++) {
+    var span = history[i-1].daysAgo - history[i].daysAgo;
+    if (span<MIN_SEGMENT_DAYS) continue;
+    if (!(history[i-1].price>0)) continue;
+    apys.push((Math.pow(history[i].price/history[i-1].price, 365/span)-1)*100);
+  }
+  if (apys.length<2) return null;
+  var mean = apys.reduce(function(s,x){return s+x;},0)/apys.length;
+  return Math.sqrt(apys.reduce(function(s,x){return s+(x-mean)*(x-mean);},0)/(apys.length-1));
+}
+
+/** { low, base, high } APYs: `apy` ± one historical standard deviation, or null without history. */
+export function apyBands(apy, history) {
+  var sd = apyVolatility(history);
+  if (apy===null||sd===null) return null;
+  return { low:apy-sd, base:apy, high:apy+sd, sd:sd };
+}
+
+/** Run `project` at each band's APY. */
+export function projectBands(p, bands) {
+  if (!bands) return null;
+  return {
+    low:project(Object.assign({}, p, {apy:bands.low})),
+    base:project(Object.assign({}, p, {apy:bands.base})),
+    high:project(Object.assign({}, p, {apy:bands.high})),
+  };
+}
@@ -0,0 +1,145 @@
+/**
+ * RPC provider pool — health-scored failover across several endpoints.
+ * Each chain gets its own pool from chains.js (env override, else
+ * chains.config.json). Transport failures retry with exponential backoff on
+ * the next healthy endpoint; HTTP 429 and JSON-RPC rate-limit errors bench
+ * the endpoint for its Retry-After (or a default cooldown) instead of
+ * counting as a fault.
+ */
+
+import { getChain, DEFAULT_CHAIN } from './chains';
+import { tapeMode, recordRpc, recordRpcError, replayRpc } from './tape';
+
+var TIMEOUT_MS       = 10000;
+var BACKOFF_BASE_MS  = 250;
+var BACKOFF_MAX_MS   = 4000;
+var RATE_LIMIT_MS    = 15000;
+var EWMA             = 0.3;
+var RATE_LIMIT_CODES = [429, -32005, -32090];
+
+var pools = {}; // chainId → { endpoints, last, failovers }
+
+function pool(chainId) {
+  chainId = chainId||DEFAULT_CHAIN;
+  if (!pools[chainId]) pools[chainId] = {
+    endpoints:getChain(chainId).rpc.map(function(url) {
+      return { url:url, latency:null, errorRate:0, cooldownUntil:0, served:0, failed:0 };
+    }),
+    last:{ url:null, failedOver:false, at:null },
+    failovers:0,
+  };
+  return pools[chainId];
+}
+
+/** Configured endpoint URLs for a chain. */
+export function rpcUrls(chainId) { return getChain(chainId).rpc; }
+
+export function hostOf(url) {
+  try { return new URL(url).host; } catch(e) { return url; }
+}
+
+function delay(ms) { return new Promise(function(r){setTimeout(r,ms);}); }
+
+// Lower is better. Unmeasured endpoints score as average so they get tried.
+function score(e) {
+  return (e.latency===null ? 500 : e.latency) * (1 + 4*e.errorRate);
+}
+
+/** Endpoints ordered best-first; benched ones go last, soonest-available first. */
+export function rankEndpoints(chainId, now) {
+  now = now||Date.now();
+  return pool(chainId).endpoints.slice().sort(function(a,b) {
+    var ca = a.cooldownUntil>now, cb = b.cooldownUntil>now;
+    if (ca!==cb) return ca ? 1 : -1;
+    if (ca) return a.cooldownUntil-b.cooldownUntil;
+    return score(a)-score(b);
+  });
+}
+
+function record(e, ok, ms) {
+  e.errorRate = e.errorRate*(1-EWMA) + (ok?0:1)*EWMA;
+  if (ok) { e.served++; e.latency = e.latency===null ? ms : e.latency*(1-EWMA) + ms*EWMA; }
+  else e.failed++;
+}
+
+function rateLimitError(err) {
+  return err && (RATE_LIMIT_CODES.indexOf(err.code)>=0 || /rate.?limit|too many requests/i.test(err.message||''));
+}
+
+function isRateLimited(json) {
+  if (Array.isArray(json)) return json.length>0 && json.every(function(r){return r.error&&rateLimitError(r.error);});
+  return !!(json && json.error && rateLimitError(json.error));
+}
+
+async function attempt(e, body) {
+  var ctrl  = typeof AbortController!=='undefined' ? new AbortController() : null;
+  var timer = ctrl ? setTimeout(function(){ctrl.abort();}, TIMEOUT_MS) : null;
+  var start = Date.now();
+  try {
+    var res = await fetch(e.url, { method:'POST', headers:{'Content-Type':'application/json'}, body:JSON.stringify(body), signal:ctrl?ctrl.signal:undefined });
+    if (res.status===429) {
+      var after = parseFloat(res.headers&&res.headers.get&&res.headers.get('retry-after'));
+      return { rateLimited:true, retryAfter:isNaN(after)?null:after*1000, error:new Error('RPC HTTP 429') };
+    }
+    if (!res.ok) return { error:new Error('RPC HTTP ' + res.status) };
+    var json = await res.json();
+    if (isRateLimited(json)) return { rateLimited:true, error:new Error('RPC: rate limited') };
+    return { json:json, ms:Date.now()-start };
+  } catch(err) {
+    return { error:err.name==='AbortError' ? new Error('RPC timeout after '+TIMEOUT_MS+'ms') : err };
+  } finally {
+    if (timer) clearTimeout(timer);
+  }
+}
+
+/**
+ * POST a JSON-RPC body (single or batch) through the pool and resolve to the
+ * parsed response. Only transport failures and rate limits are retried;
+ * JSON-RPC errors such as reverts come back in the response for the caller.
+ * With a tape active (see tape.js) the exchange is recorded or replayed here.
+ */
+export async function sendRpc(body, chainId) {
+  chainId = chainId||DEFAULT_CHAIN;
+  if (tapeMode()==='replay') return replayRpc(body, chainId);
+  try {
+    var json = await poolRpc(body, chainId);
+    recordRpc(body, chainId, json);
+    return json;
+  } catch(e) {
+    recordRpcError(body, chainId, e);
+    throw e;
+  }
+}
+
+async function poolRpc(body, chainId) {
+  var p = pool(chainId);
+  var tried = [], lastErr = null, attempts = Math.max(3, p.endpoints.length*2);
+  for (var i=0;i<attempts;i++) {
+    var ranked = rankEndpoints(chainId);
+    var e = ranked.find(function(x){return tried.indexOf(x)<0;}) || ranked[0];
+    if (e.cooldownUntil>Date.now()) await delay(Math.min(BACKOFF_MAX_MS, e.cooldownUntil-Date.now()));
+    else if (i>0) await delay(Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS*Math.pow(2,i-1)));
+    tried.push(e);
+    var r = await attempt(e, body);
+    if (r.json) {
+      record(e, true, r.ms);
+      p.last = { url:e.url, failedOver:i>0, at:Date.now() };
+      if (i>0) p.failovers++;
+      return r.json;
+    }
+    lastErr = r.error;
+    if (r.rateLimited) e.cooldownUntil = Date.now() + (r.retryAfter||RATE_LIMIT_MS);
+    else record(e, false);
+    console.warn('RPC '+hostOf(e.url)+' failed:', r.error.message);
+  }
+  throw lastErr || new Error('RPC: no endpoints configured');
+}
+
+/** Snapshot for the UI: who served a chain's last request and how often its pool failed over. */
+export function providerStatus(chainId) {
+  var p = pool(chainId);
+  return {
+    url:p.last.url, host:p.last.url?hostOf(p.last.url):null, failedOver:p.last.failedOver, at:p.last.at, failovers:p.failovers,
+    endpoints:p.endpoints.map(function(e){return { url:e.url, latency:e.latency, errorRate:e.errorRate, benched:e.cooldownUntil>Date.now(), served:e.served, failed:e.failed };}),
+  };
+}
@@ -0,0 +1,97 @@
+/**
+ * Vault registry — curated entries from vaults.config.json (keyed by chainId)
+ * plus any ERC-4626 address the user pastes in. Token metadata (asset,
+ * decimals, symbols, name) is never hand-written: it is discovered on-chain
+ * in two multicall rounds, vault first, then the underlying asset, and
+ * cached per chain and address.
+ */
+
+import registryConfig from '../../vaults.config.json';
+import { multicall } from './chain';
+import { DEFAULT_CHAIN } from './chains';
+import { encodeCall, decodeUint256, decodeAddress, decodeString } from './abi';
+
+/** Curated entries flattened across chains, each tagged with its numeric chainId and unrated until its first read. */
+export const REGISTRY = [].concat.apply([], Object.keys(registryConfig.vaults).map(function(chainId) {
+  return registryConfig.vaults[chainId].map(function(v){return Object.assign({chainId:Number(chainId), risk:'—'}, v);});
+}));
+
+var USER_KEY = 'concrete-yield:vaults:user';
+var USER_COLOR = '#00FF41';
+var metaCache = {}; // chainId:lowercased address → discovered metadata
+
+export function isAddress(value) { return /^0x[0-9a-fA-F]{40}$/.test(value||''); }
+
+export function loadUserVaults() {
+  try {
+    if (typeof localStorage==='undefined') return [];
+    // Entries saved before multi-chain support have no chainId; they were all mainnet.
+    return JSON.parse(localStorage.getItem(USER_KEY)||'[]').map(function(e){return Object.assign({chainId:DEFAULT_CHAIN}, e);});
+  } catch(e) { return []; }
+}
+
+export function saveUserVaults(entries) {
+  if (typeof localStorage==='undefined') return;
+  try { localStorage.setItem(USER_KEY, JSON.stringify(entries)); } catch(e) {}
+}
+
+/** Registry entry for a pasted address on `chainId`; display fields get filled from discovery. */
+export function userEntry(address, chainId) {
+  var suffix = chainId===DEFAULT_CHAIN ? '' : '-'+chainId;
+  return { id:'user-'+address.slice(2,10).toLowerCase()+suffix, chainId:chainId, address:address, risk:'—', borderColor:USER_COLOR, subtitle:'User-added vault', description:'', user:true };
+}
+
+function vaultMetaCalls(address) {
+  return ['asset()','decimals()','symbol()','name()'].map(function(sig){return {target:address, callData:encodeCall(sig,[])};});
+}
+function assetMetaCalls(asset) {
+  return ['decimals()','symbol()'].map(function(sig){return {target:asset, callData:encodeCall(sig,[])};});
+}
+function readString(r) { try { return r.success ? decodeString(r.returnData) : null; } catch(e) { return null; } }
+
+function cacheKey(chainId, address) { return chainId+':'+address.toLowerCase(); }
+
+/**
+ * Discover metadata for every address on `chainId` not already cached.
+ * Resolves to { [lowercased address]: meta | Error } — an Error when the
+ * address does not answer asset() like an ERC-4626 vault.
+ */
+export async function discoverVaults(addresses, chainId) {
+  chainId = chainId||DEFAULT_CHAIN;
+  var todo = addresses.filter(function(a){return !metaCache[cacheKey(chainId,a)];});
+  if (todo.length) {
+    var first = await multicall([].concat.apply([], todo.map(vaultMetaCalls)), 'latest', chainId);
+    var vaults = todo.map(function(address,i) {
+      var r = first.slice(i*4, i*4+4);
+      var asset = r[0].success ? decodeAddress(r[0].returnData) : null;
+      if (!asset || /^0x0{40}$/.test(asset)) return { address:address, error:new Error('Not an ERC-4626 vault: asset() failed') };
+      return { address:address, asset:asset, shareDecimals:r[1].success?Number(decodeUint256(r[1].returnData)):null, shareSymbol:readString(r[2]), name:readString(r[3]) };
+    });
+    var ok = vaults.filter(function(v){return !v.error;});
+    var second = ok.length ? await multicall([].concat.apply([], ok.map(function(v){return assetMetaCalls(v.asset);})), 'latest', chainId) : [];
+    ok.forEach(function(v,i) {
+      var r = second.slice(i*2, i*2+2);
+      if (!r[0].success) { v.error = new Error('Underlying asset has no decimals()'); return; }
+      v.assetDecimals = Number(decodeUint256(r[0].returnData));
+      v.assetSymbol   = readString(r[1]) || '???';
+      if (v.shareDecimals===null) v.shareDecimals = v.assetDecimals;
+    });
+    vaults.forEach(function(v) {
+      metaCache[cacheKey(chainId,v.address)] = v.error ? v.error : {
+        asset:v.asset, assetDecimals:v.assetDecimals, assetSymbol:v.assetSymbol,
+        shareDecimals:v.shareDecimals, shareSymbol:v.shareSymbol, name:v.name,
+      };
+    });
+  }
+  var out = {};
+  addresses.forEach(function(a){ out[a.toLowerCase()] = metaCache[cacheKey(chainId,a)]; });
+  return out;
+}
+
+/** Merge an entry with its discovered metadata into a full vault config. */
+export function toConfig(entry, meta) {
+  return Object.assign({}, entry, meta, {
+    displayName:entry.displayName || meta.shareSymbol || meta.assetSymbol,
+    description:entry.description || meta.name || '',
+  });
+}
@@ -0,0 +1,111 @@
+/**
+ * Risk assessment — scores a vault from what its snapshot can show:
+ * share-price drawdowns between samples, negative yield, TVL volatility, how
+ * much of the Deposit / Withdraw flow one event carries, how long the share
+ * price (NAV) has gone without moving (or, for `nav` vaults, whether the
+ * accounting update is overdue), and price-oracle staleness. Each finding
+ * adds points and a reason; the total maps to a grade and to the LOW / MED /
+ * HIGH level the portfolio optimiser filters on. Flow concentration reads
+ * the vault's `flowStats`, totals of the events flows.js indexes, so a large
+ * deposit that is withdrawn again before the next sample still counts.
+ */
+
+import { APY_WINDOWS } from './history';
+
+/** Grade by score ceiling; `level` is what the portfolio optimiser filters on. */
+export const GRADES = [
+  {grade:'A', max:9,        level:'LOW'},
+  {grade:'B', max:24,       level:'MED'},
+  {grade:'C', max:44,       level:'HIGH'},
+  {grade:'D', max:Infinity, level:'HIGH'},
+];
+
+var NOISE_PCT = 0.01; // Share-price moves this small are rounding, not losses.
+
+/** Largest peak-to-trough fall (%) of the share price, with how many days ago the trough was. */
+export function maxDrawdown(series) {
+  var peak = null, worst = {pct:0, daysAgo:null};
+  (series||[]).forEach(function(p) {
+    if (!(p.price>0)) return;
+    if (peak===null||p.price>peak) peak = p.price;
+    var dd = (peak-p.price)/peak*100;
+    if (dd>worst.pct) worst = {pct:dd, daysAgo:p.daysAgo};
+  });
+  return worst;
+}
+
+function tvlPoints(series) { return (series||[]).filter(function(p){return p.tvl!==null&&p.tvl!==undefined;}); }
+
+/** Coefficient of variation (%) of the sampled TVL, or null with fewer than three samples. */
+export function tvlVolatility(series) {
+  var tvl = tvlPoints(series).map(function(p){return p.tvl;});
+  if (tvl.length<3) return null;
+  var mean = tvl.reduce(function(s,x){return s+x;},0)/tvl.length;
+  if (!(mean>0)) return null;
+  var sd = Math.sqrt(tvl.reduce(function(s,x){return s+(x-mean)*(x-mean);},0)/(tvl.length-1));
+  return sd/mean*100;
+}
+
+/**
+ * The largest single Deposit or Withdraw in `stats` (see fetchFlowStats), as
+ * { size } — a share of the mean TVL sampled over the same days — and
+ * { share } — a share of every deposit and withdrawal together. Null
+ * without events or TVL samples to compare.
+ */
+export function flowConcentration(stats, series) {
+  if (!stats||!stats.largest||!(stats.gross>0)) return null;
+  var tvl = tvlPoints(series).filter(function(p){return Math.round(p.daysAgo)<=stats.days;}).map(function(p){return p.tvl;});
+  var mean = tvl.length ? tvl.reduce(function(s,x){return s+x;},0)/tvl.length : 0;
+  if (!(mean>0)) return null;
+  return { kind:stats.largest.kind, size:stats.largest.assets/mean, share:stats.largest.assets/stats.gross, days:stats.days };
+}
+
+/** Days the share price has been flat up to now (0 when it moved in the latest interval). */
+export function navAge(series) {
+  if (!series||series.length<2) return null;
+  var now = series[series.length-1], age = 0;
+  for (var i=series.length-2;i>=0&&series[i].price===now.price;i--) age = series[i].daysAgo;
+  return age;
+}
+
+function gradeFor(score) { return GRADES.find(function(g){return score<=g.max;}); }
+
+/**
+ * Score one vault snapshot. Returns { score, grade, level, reasons:[{points,
+ * text}], metrics:{ drawdown, negative, tvlVolatility, flows, navAgeDays } }
+ * with reasons worst first. A vault that is pending or not read yet is
+ * unrated: grade '—', level '—'.
+ */
+export function assessRisk(v) {
+  if (!v||v.pending||!v.history) return { score:null, grade:'—', level:'—', reasons:[], metrics:{} };
+  var reasons = [];
+  function add(points, text) { reasons.push({points:points, text:text}); }
+  var series = v.history;
+  var drawdown = maxDrawdown(series);
+  var negative = APY_WINDOWS.filter(function(w){return v.apys&&v.apys[w.days]!==null&&v.apys[w.days]<0;})
+    .map(function(w){return {label:w.label, apy:v.apys[w.days]};});
+  var vol   = tvlVolatility(series);
+  var flows = flowConcentration(v.flowStats, series);
+  var age   = navAge(series);
+
+  if (series.length<3) add(10, 'Too little share-price history to assess');
+  if (drawdown.pct>NOISE_PCT) add(drawdown.pct>=5?40:drawdown.pct>=1?25:15, 'Share price fell '+drawdown.pct.toFixed(2)+'% from its peak ('+(drawdown.daysAgo>=1?Math.round(drawdown.daysAgo)+'d ago':'latest read')+')');
+  if (negative.length) add(20, 'Negative yield: '+negative.map(function(n){return n.label+' '+n.apy.toFixed(2)+'%';}).join(', '));
+  if (vol!==null&&vol>=10) add(vol>=50?25:vol>=25?15:5, 'TVL volatile: '+vol.toFixed(1)+'% variation over '+Math.round(series[0].daysAgo)+'d');
+  if (v.flowStats&&v.flowStats.error) add(5, 'Deposit / withdraw events could not be read');
+  else if (flows&&flows.size>=0.2&&flows.share>=0.5) add(10, 'Concentrated flows: one '+(flows.kind==='deposit'?'deposit':'withdrawal')+' moved '+(flows.size*100).toFixed(0)+'% of TVL ('+(flows.share*100).toFixed(0)+'% of all deposits and withdrawals over '+flows.days+'d)');
+  if (v.nav&&v.nav.error) add(5, 'NAV updates could not be read');
+  else if (v.nav&&v.nav.overdue) add(15, v.nav.last ? 'NAV update overdue: last one '+Math.round(v.nav.ageHours)+'h ago' : 'No NAV update found in the scanned window');
+  else if (!v.nav&&age!==null&&age>=2) add(age>=7?20:10, 'Share price unchanged for '+Math.round(age)+'d — NAV not updating');
+  if (v.price&&v.price.error) add(5, 'USD oracle '+v.price.label+': '+v.price.error);
+  if (v.institutional) add(15, 'Assets held off-chain by a custodian');
+  if (v.user) add(10, 'User-added vault, not curated');
+
+  reasons.sort(function(a,b){return b.points-a.points;});
+  var score = reasons.reduce(function(s,r){return s+r.points;},0);
+  var g = gradeFor(score);
+  return {
+    score:score, grade:g.grade, level:g.level, reasons:reasons,
+    metrics:{ drawdown:drawdown.pct>NOISE_PCT?drawdown.pct:0, negative:negative, tvlVolatility:vol, flows:flows, navAgeDays:age },
+  };
+}
@@ -0,0 +1,71 @@
+/**
+ * Scenario ⇄ query string. Everything needed to reproduce a projection rides
+ * in the URL, so a shared link restores it on the static export with no
+ * server. Malformed or unknown params fall back to the defaults rather than
+ * throwing — a hand-edited link should still open.
+ */
+
+import { CHAINS } from './chains';
+import { APY_WINDOWS, DEFAULT_APY_WINDOW } from './history';
+import { MAX_HORIZON } from './projection';
+
+export const SCENARIO_DEFAULTS = {
+  principal:10000, unit:'usd', days:30, apyWindow:DEFAULT_APY_WINDOW, monthly:0,
+  mode:'single', chain:'all', vault:null, plan:{mode:'pct', values:{}},
+};
+
+function num(v) {
+  if (v===null||v==='') return null;
+  var n = Number(v);
+  return isFinite(n) ? n : null;
+}
+
+/**
+ * Query string for a scenario: { principal, unit, days, apyWindow, monthly,
+ * mode, chain, vault:{chainId, address}|null, plan:{mode, values} }.
+ * Vaults are keyed by chainId:address so user-added vaults survive the trip.
+ */
+export function encodeScenario(s) {
+  var q = new URLSearchParams();
+  q.set('amt', String(s.principal));
+  q.set('unit', s.unit);
+  q.set('days', String(s.days));
+  q.set('apy', String(s.apyWindow));
+  if (s.monthly>0) q.set('dca', String(s.monthly));
+  if (s.chain!=='all') q.set('chain', String(s.chain));
+  if (s.vault) q.set('vault', s.vault.chainId+':'+s.vault.address);
+  if (s.mode==='portfolio') {
+    q.set('mode', 'portfolio');
+    q.set('alloc', s.plan.mode);
+    var w = Object.keys(s.plan.values).filter(function(id){return s.plan.values[id]>0;})
+      .map(function(id){return id+'~'+s.plan.values[id];}).join(',');
+    if (w) q.set('w', w);
+  }
+  return q.toString();
+}
+
+/** Inverse of encodeScenario, merged over SCENARIO_DEFAULTS. */
+export function decodeScenario(search) {
+  var q = new URLSearchParams(search||'');
+  var out = Object.assign({}, SCENARIO_DEFAULTS, {plan:{mode:'pct', values:{}}});
+  var amt = num(q.get('amt'));
+  if (amt!==null&&amt>=0) out.principal = amt;
+  if (q.get('unit')==='usd'||q.get('unit')==='asset') out.unit = q.get('unit');
+  var days = num(q.get('days'));
+  if (days!==null&&days>=1) out.days = Math.min(Math.round(days), MAX_HORIZON);
+  var apy = num(q.get('apy'));
+  if (APY_WINDOWS.some(function(w){return w.days===apy;})) out.apyWindow = apy;
+  var dca = num(q.get('dca'));
+  if (dca!==null&&dca>0) out.monthly = dca;
+  var chain = num(q.get('chain'));
+  if (chain!==null&&CHAINS[chain]) out.chain = chain;
+  var vault = /^(\d+):(0x[0-9a-fA-F]{40})$/.exec(q.get('vault')||'');
+  if (vault&&CHAINS[Number(vault[1])]) out.vault = {chainId:Number(vault[1]), address:vault[2]};
+  if (q.get('mode')==='portfolio') out.mode = 'portfolio';
+  if (q.get('alloc')==='amount') out.plan.mode = 'amount';
+  (q.get('w')||'').split(',').forEach(function(pair) {
+    var kv = pair.split('~'), v = num(kv[1]);
+    if (kv[0]&&v!==null&&v>0) out.plan.values[kv[0]] = v;
+  });
+  return out;
+}
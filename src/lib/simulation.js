@@ -0,0 +1,166 @@
+/**
+ * The SIMULATION LOG stream and PROJECTION MATRIX rows, as plain data so the
+ * page and the CLI print the same thing. Each log line is { ts, type, text }.
+ */
+
+import { chainLabel } from './chains';
+import { rpcUrls, providerStatus } from './providers';
+import { DEFAULT_APY_WINDOW, apyFor, windowLabel } from './history';
+import { allocate, blendedApy, portfolioLadder } from './portfolio';
+import { DCA_INTERVAL, project, apyBands, projectBands } from './projection';
+import { formatUSD, formatDual, toUsd, apyDisplay, timeSince } from './format';
+
+export const TIMEFRAMES = [
+  { label:'7D', days:7 }, { label:'1M', days:30 }, { label:'3M', days:90 }, { label:'6M', days:180 }, { label:'1Y', days:365 },
+];
+
+/** TIMEFRAMES plus `days` as its own rung when it is a custom horizon. */
+export function horizonsWith(days) {
+  if (TIMEFRAMES.some(function(tf){return tf.days===days;})) return TIMEFRAMES;
+  return TIMEFRAMES.concat([{label:days+'D', days:days}]).sort(function(a,b){return a.days-b.days;});
+}
+
+export const LOG_PREFIX = { sys:'//', ok:'✓ ', info:'→ ', yield:'◆ ', result:'▶ ', warn:'⚠ ', error:'✗ ', cmd:'$ ' };
+
+/** One log line as the terminal shows it: timestamp, type prefix, text. */
+export function formatLogLine(line) { return line.ts+' '+(LOG_PREFIX[line.type]||'  ')+line.text; }
+
+// estimateCosts output → projection cost inputs, gas converted from USD to asset units at the oracle price.
+export function costInputs(vault, costs) {
+  if (!costs) return null;
+  var px = vault&&vault.priceUsd;
+  function gas(usd) { return px&&usd!==null ? usd/px : null; }
+  return { entryPct:costs.entryPct, exitPct:costs.exitPct, gasEntry:gas(costs.gasUsd.entry), gasExit:gas(costs.gasUsd.exit) };
+}
+export function costsLine(vault, costs) {
+  var c = costInputs(vault, costs);
+  return 'ENTRY '+c.entryPct.toFixed(3)+'% · EXIT '+c.exitPct.toFixed(3)+'% · GAS '+(c.gasEntry!==null
+    ? formatDual(c.gasEntry,vault)+' IN / '+formatDual(c.gasExit,vault)+' OUT @ '+costs.gasPrice.toFixed(2)+' GWEI'
+    : 'NOT PRICED');
+}
+
+// Remaining deposit cap and instant exit liquidity from checkCapacity.
+export function capacityLine(vault, capacity) {
+  var sym = ' '+(vault.assetSymbol||'');
+  return 'CAP '+(capacity.cap!==null?capacity.cap.toFixed(2)+sym+' LEFT':'NONE')
+    +' · INSTANT EXIT '+(capacity.instantPct!==null?capacity.instantPct.toFixed(1)+'% (IDLE '+capacity.idle.toFixed(2)+sym+')':'UNKNOWN');
+}
+
+// One PROJECTION MATRIX row per horizon, shared by the rung bars and the export.
+export function ladderRows(vault, base, horizons) {
+  return horizons.map(function(tf) {
+    var r = project(Object.assign({}, base, {days:tf.days}));
+    return {
+      horizon:tf.label, days:tf.days, asset:vault.assetSymbol, apy:base.apy, monthly:base.monthly, invested:r.invested, deposits:r.deposits,
+      gross:r.gross, entryFees:r.entryFees, exitFee:r.exitFee, gas:r.gas, net:r.net, yield:r.yield, roi:r.roi, netUsd:toUsd(vault,r.net),
+    };
+  });
+}
+
+export const PRICE_SHOCK = 0.1; // ±10% asset price band shown apart from yield.
+
+export function priceLine(vault) {
+  if (!vault.price) return 'PRICE → no USD feed for '+(vault.assetSymbol||'asset')+' — asset units only';
+  if (vault.priceUsd===null) return 'PRICE → '+vault.price.label+' unavailable ('+vault.price.error+') — asset units only';
+  return 'PRICE → '+vault.price.label+' $'+vault.priceUsd.toFixed(2)+' (Chainlink, '+timeSince(vault.price.updatedAt)+')';
+}
+
+// `amount` is in the vault's asset units; null when a USD input has no price to convert with.
+export function generateLog(amount, vault, days, apyWindow, opts) {
+  opts = opts||{};
+  var lines = [];
+  var apy    = apyFor(vault, apyWindow||DEFAULT_APY_WINDOW);
+  var apyStr = apy!==null ? apy.toFixed(2)+'%' : 'N/A (live fetch pending)';
+  lines.push({ts:'00:00:00',type:'sys', text:'CONCRETE.YIELD v2.1.0 — LIVE MODE'});
+  var urls   = rpcUrls(vault.chainId);
+  lines.push({ts:'00:00:00',type:'sys', text:'RPC → '+(providerStatus(vault.chainId).url||urls[0])+(urls.length>1?' (pool of '+urls.length+')':'')});
+  lines.push({ts:'00:00:00',type:'sys', text:'CHAIN → '+chainLabel(vault.chainId)});
+  lines.push({ts:'00:00:01',type:'info',text:'VAULT: '+vault.displayName+' — '+vault.address});
+  lines.push({ts:'00:00:01',type:'info',text:windowLabel(apyWindow||DEFAULT_APY_WINDOW)+' APY: '+apyStr});
+  if (vault.itd!==null&&vault.itd!==undefined) lines.push({ts:'00:00:01',type:'info',text:'SINCE INCEPTION: '+vault.itd.toFixed(2)+'%'});
+  var nav = vault.nav;
+  if (nav&&nav.error) lines.push({ts:'00:00:01',type:'warn',text:'NAV: updates could not be read — '+nav.error});
+  else if (nav) lines.push({ts:'00:00:01',type:nav.overdue?'warn':'info',text:'NAV: '+(nav.last?'last update '+new Date(nav.last.at).toISOString().slice(0,16).replace('T',' ')+' UTC ('+(nav.last.changePct>=0?'+':'')+nav.last.changePct.toFixed(4)+'%)'+(nav.apy!==null?' · realised '+nav.apy.toFixed(2)+'%':''):'no update in the scanned window')+(nav.overdue?' · OVERDUE':'')+(nav.skipped?' · '+nav.skipped+' candidate blocks left for the next refresh':'')});
+  var risk = vault.riskReport;
+  if (risk&&risk.score!==null) {
+    lines.push({ts:'00:00:01',type:risk.level==='LOW'?'info':'warn',text:'RISK: '+risk.grade+' · '+risk.level+' (score '+risk.score+')'});
+    risk.reasons.forEach(function(r){ lines.push({ts:'00:00:01',type:'warn',text:'  +'+r.points+' '+r.text}); });
+  }
+  lines.push({ts:'00:00:02',type:'info',text:'TVL: '+(vault.tvl?vault.tvl+(vault.tvlUsd!==null&&vault.tvlUsd!==undefined?' · '+formatUSD(vault.tvlUsd):''):'fetching...')});
+  lines.push({ts:'00:00:02',type:vault.priceUsd?'info':'warn',text:priceLine(vault)});
+  lines.push({ts:'00:00:02',type:'info',text:'PRINCIPAL: '+formatDual(amount,vault)});
+  if (opts.monthly>0) lines.push({ts:'00:00:02',type:'info',text:'DCA: +'+formatDual(opts.monthly,vault)+' every '+DCA_INTERVAL+'d'});
+  lines.push({ts:'00:00:02',type:'info',text:'HORIZON: '+days+'d'});
+  lines.push({ts:'00:00:03',type:opts.costs?'info':'warn',text:opts.costs?'COSTS: '+costsLine(vault,opts.costs):'COSTS: not estimated yet — fees and gas excluded'});
+  if (opts.capacity) {
+    lines.push({ts:'00:00:03',type:opts.capacity.warnings.length?'warn':'info',text:'CAPACITY: '+capacityLine(vault,opts.capacity)});
+    opts.capacity.warnings.forEach(function(w){ lines.push({ts:'00:00:03',type:'warn',text:'  '+w}); });
+    if (opts.capacity.accountMaxWithdraw!==null) lines.push({ts:'00:00:03',type:'info',text:'  Your position can withdraw '+formatDual(opts.capacity.accountMaxWithdraw,vault)+' now'});
+  }
+  lines.push({ts:'00:00:05',type:'sys', text:'─── PROJECTION STREAM ──────────────'});
+  if (amount===null) {
+    lines.push({ts:'00:01:10',type:'warn',text:'No USD price to convert the deposit — switch the input to '+(vault.assetSymbol||'asset')+' units'});
+  } else if (apy!==null) {
+    var base = {amount:amount, apy:apy, monthly:opts.monthly||0, costs:costInputs(vault,opts.costs)};
+    var checkpoints = [1,7,14,30,60,90,180,365,730,1825].filter(function(d){return d<days;}).concat([days]);
+    var tpls = ['00:00:06','00:00:09','00:00:12','00:00:16','00:00:21','00:00:27','00:00:34','00:00:42','00:00:51','00:00:59','00:01:05'];
+    checkpoints.forEach(function(d,i) {
+      var r = project(Object.assign({}, base, {days:d}));
+      lines.push({ts:tpls[i]||'00:01:05',type:'yield',text:'DAY '+String(d).padStart(4,'0')+' → NET YIELD: '+formatDual(r.yield,vault)+'  ·  VALUE: '+formatDual(r.net,vault)});
+    });
+    var fin = project(Object.assign({}, base, {days:days}));
+    var total = fin.net;
+    lines.push({ts:'00:01:10',type:'sys',   text:'─── FINAL PROJECTION ───────────────'});
+    lines.push({ts:'00:01:11',type:'result',text:'INVESTED:    '+formatDual(fin.invested,vault)+(fin.deposits>1?' over '+fin.deposits+' deposits':'')});
+    lines.push({ts:'00:01:11',type:'result',text:'GROSS VALUE: '+formatDual(fin.gross,vault)});
+    lines.push({ts:'00:01:11',type:'info',  text:'FEES: '+formatDual(fin.entryFees+fin.exitFee,vault)+'  ·  GAS: '+formatDual(fin.gas,vault)});
+    lines.push({ts:'00:01:11',type:fin.yield<0?'warn':'result',text:'NET YIELD:   '+formatDual(fin.yield,vault)});
+    lines.push({ts:'00:01:11',type:'result',text:'ROI: '+(fin.roi!==null?fin.roi.toFixed(2):'—')+'% in '+(vault.assetSymbol||'asset')+' terms'});
+    lines.push({ts:'00:01:12',type:'result',text:'NET TOTAL:   '+formatDual(total,vault)});
+    var bands = apyBands(apy, vault.history);
+    var runs  = projectBands(Object.assign({}, base, {days:days}), bands);
+    if (runs) {
+      lines.push({ts:'00:01:12',type:'sys', text:'─── SCENARIOS (±1σ HISTORICAL APY) ─'});
+      [['PESSIMISTIC','low'],['BASE','base'],['OPTIMISTIC','high']].forEach(function(b) {
+        lines.push({ts:'00:01:12',type:'info',text:b[0]+' '+bands[b[1]].toFixed(2)+'% → NET TOTAL '+formatDual(runs[b[1]].net,vault)});
+      });
+    }
+    if (vault.priceUsd&&vault.price&&!/^USD/.test(vault.price.label)) {
+      lines.push({ts:'00:01:12',type:'sys', text:'─── PRICE EXPOSURE (NOT YIELD) ─────'});
+      lines.push({ts:'00:01:12',type:'info',text:'USD figures above hold '+vault.price.label+' flat at today\'s price'});
+      lines.push({ts:'00:01:12',type:'info',text:'±'+(PRICE_SHOCK*100)+'% '+vault.price.label+' → NET TOTAL '+formatUSD(toUsd(vault,total)*(1-PRICE_SHOCK))+' – '+formatUSD(toUsd(vault,total)*(1+PRICE_SHOCK))});
+    }
+  } else {
+    lines.push({ts:'00:01:10',type:'warn',text:'APY unavailable — vault may be new or RPC slow'});
+    lines.push({ts:'00:01:11',type:'warn',text:'Wait for live data then re-run simulation'});
+  }
+  lines.push({ts:'00:01:13',type:'ok',text:'SIMULATION COMPLETE ▊'});
+  return lines;
+}
+
+// Portfolio variant of the log: one line per slice, then the combined totals. `total` is USD.
+export function generatePortfolioLog(total, plan, vaults, days, apyWindow) {
+  var lines = [];
+  var byId  = {}; vaults.forEach(function(v){ byId[v.id] = v; });
+  var alloc = allocate(plan.values, total||0, plan.mode);
+  var apy   = blendedApy(alloc.slices, byId, apyWindow);
+  var ladder = portfolioLadder(alloc.slices, byId, apyWindow, [days]);
+  lines.push({ts:'00:00:00',type:'sys', text:'CONCRETE.YIELD v2.1.0 — PORTFOLIO MODE'});
+  lines.push({ts:'00:00:01',type:'info',text:'PRINCIPAL: '+formatUSD(total)+' · HORIZON: '+days+'d'});
+  if (!alloc.slices.length) {
+    lines.push({ts:'00:00:02',type:'warn',text:'No allocation set — enter percentages or amounts, or use OPTIMISE'});
+  }
+  lines.push({ts:'00:00:05',type:'sys', text:'─── ALLOCATION ─────────────────────'});
+  ladder.rows.forEach(function(r,i) {
+    var v = byId[r.id];
+    lines.push({ts:'00:00:0'+Math.min(9,6+i),type:'yield',text:v.displayName+' ['+v.risk+'] '+(total>0?(r.amount/total*100).toFixed(1)+'%':'n/a')+' · '+formatUSD(r.amount)+' @ '+apyDisplay(r.apy)+' → '+formatUSD(r.yields[days])});
+  });
+  if (alloc.unallocated>0.005)  lines.push({ts:'00:00:10',type:'warn',text:'UNALLOCATED: '+formatUSD(alloc.unallocated)+' earns nothing'});
+  if (alloc.unallocated<-0.005) lines.push({ts:'00:00:10',type:'warn',text:'OVER-ALLOCATED by '+formatUSD(-alloc.unallocated)});
+  lines.push({ts:'00:01:10',type:'sys',   text:'─── COMBINED PROJECTION ────────────'});
+  lines.push({ts:'00:01:11',type:'result',text:'BLENDED '+windowLabel(apyWindow)+' APY: '+apyDisplay(apy)});
+  lines.push({ts:'00:01:11',type:'result',text:'GROSS YIELD: '+formatUSD(ladder.combined[days])});
+  lines.push({ts:'00:01:12',type:'result',text:'NET TOTAL:   '+formatUSD(alloc.allocated+ladder.combined[days]+Math.max(0,alloc.unallocated))});
+  lines.push({ts:'00:01:13',type:'ok',text:'SIMULATION COMPLETE ▊'});
+  return lines;
+}
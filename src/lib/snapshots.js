@@ -0,0 +1,94 @@
+/**
+ * Snapshot cache in IndexedDB. The last good read of every vault is kept so a
+ * page load can show it at once (marked stale) while the refresh runs, and so
+ * the offline build still has numbers. Each read is also appended to a local
+ * APY / TVL history, keyed by vault and block so a refresh that lands on the
+ * same block does not add a point. Everything resolves empty where IndexedDB
+ * is missing or fails, and while a tape is active, so replays stay exact.
+ */
+
+import { tapeMode } from './tape';
+
+var DB_NAME = 'concrete-yield';
+var DB_VERSION = 1;
+var HISTORY_DAYS = 365;
+var dbPromise = null;
+
+function available() { return typeof indexedDB!=='undefined' && tapeMode()==='live'; }
+
+function request(req) {
+  return new Promise(function(resolve, reject) {
+    req.onsuccess = function(){ resolve(req.result); };
+    req.onerror = function(){ reject(req.error); };
+  });
+}
+
+function open() {
+  if (!dbPromise) {
+    var req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = function() {
+      var db = req.result;
+      db.createObjectStore('latest', {keyPath:'id'});
+      var history = db.createObjectStore('history', {keyPath:['vaultId','blockNumber']});
+      history.createIndex('vaultId', 'vaultId');
+      history.createIndex('at', 'at');
+    };
+    dbPromise = request(req).catch(function(e){ dbPromise = null; throw e; });
+  }
+  return dbPromise;
+}
+
+function done(tx) {
+  return new Promise(function(resolve, reject) {
+    tx.oncomplete = function(){ resolve(); };
+    tx.onerror = tx.onabort = function(){ reject(tx.error); };
+  });
+}
+
+// BigInt fields are structured-cloneable, so a snapshot is stored as the vault object itself.
+function historyPoint(v) {
+  return { vaultId:v.id, blockNumber:v.blockNumber, at:v.fetchedAt, apy:v.apy, apys:v.apys, tvl:v.tvlRaw, tvlUsd:v.tvlUsd, pricePerShare:v.pricePerShare };
+}
+
+/** Store the live vaults of a refresh as the latest snapshot and as history points. */
+export async function saveSnapshots(vaults) {
+  if (!available()) return;
+  var live = vaults.filter(function(v){ return v.live&&v.blockNumber!==undefined; });
+  if (!live.length) return;
+  try {
+    var db = await open();
+    var tx = db.transaction(['latest','history'], 'readwrite');
+    live.forEach(function(v) {
+      tx.objectStore('latest').put(Object.assign({}, v, {stale:false}));
+      tx.objectStore('history').put(historyPoint(v));
+    });
+    var cutoff = IDBKeyRange.upperBound(Date.now()-HISTORY_DAYS*86400000);
+    tx.objectStore('history').index('at').openCursor(cutoff).onsuccess = function(e) {
+      var cursor = e.target.result;
+      if (cursor) { cursor.delete(); cursor.continue(); }
+    };
+    await done(tx);
+  } catch(e) { console.warn('Snapshot save failed:', e&&e.message); }
+}
+
+/** Last saved snapshot per vault id: { [id]: vault }. */
+export async function loadSnapshots() {
+  if (!available()) return {};
+  try {
+    var db = await open();
+    var rows = await request(db.transaction('latest').objectStore('latest').getAll());
+    var out = {};
+    rows.forEach(function(v){ out[v.id] = v; });
+    return out;
+  } catch(e) { console.warn('Snapshot load failed:', e&&e.message); return {}; }
+}
+
+/** Saved history points for one vault, oldest first: [{ at, blockNumber, apy, apys, tvl, tvlUsd, pricePerShare }]. */
+export async function snapshotHistory(vaultId) {
+  if (!available()) return [];
+  try {
+    var db = await open();
+    var rows = await request(db.transaction('history').objectStore('history').index('vaultId').getAll(vaultId));
+    return rows.sort(function(a,b){ return a.at-b.at; });
+  } catch(e) { console.warn('Snapshot history failed:', e&&e.message); return []; }
+}
@@ -0,0 +1,116 @@
+/**
+ * Record / replay of chain traffic. While recording, every JSON-RPC exchange
+ * that goes through the provider pool and every explorer lookup is stored
+ * against a normalised request (JSON-RPC ids stripped). While replaying, the
+ * same requests are answered from that tape with no network access; a
+ * request that was never recorded fails like an unreachable RPC would.
+ *
+ * The clock is frozen at the recording's start while a tape is active, so
+ * history targets — and therefore every block probe — come out the same on
+ * replay. A tape is plain JSON: { version, recordedAt, rpc:{key:response},
+ * explorer:{url:json} }. A response of { $error } replays as a transport
+ * failure, which is how failure paths are scripted by hand.
+ */
+
+var VERSION = 1;
+var ENV_REPLAY = process.env.NEXT_PUBLIC_REPLAY || '';
+
+var tape = { mode:'live', recordedAt:null, rpc:{}, explorer:{}, source:null };
+
+export function tapeMode() { return tape.mode; }
+
+/** Wall clock for anything that shapes requests; frozen while a tape is active. */
+export function clock() { return tape.mode==='live' ? Date.now() : tape.recordedAt; }
+
+export function startRecording() {
+  tape = { mode:'record', recordedAt:Date.now(), rpc:{}, explorer:{}, source:null };
+}
+
+/** Switch to replay from a parsed tape. `source` is only kept for display. */
+export function loadTape(json, source) {
+  if (!json||json.version!==VERSION) throw new Error('Replay: unsupported tape version '+(json&&json.version));
+  tape = { mode:'replay', recordedAt:json.recordedAt, rpc:json.rpc||{}, explorer:json.explorer||{}, source:source||null };
+}
+
+export function tapeJson() {
+  return { version:VERSION, recordedAt:tape.recordedAt, rpc:tape.rpc, explorer:tape.explorer };
+}
+
+export function tapeInfo() {
+  return { mode:tape.mode, recordedAt:tape.recordedAt, source:tape.source, entries:Object.keys(tape.rpc).length+Object.keys(tape.explorer).length };
+}
+
+function strip(r) { return { method:r.method, params:r.params }; }
+
+function rpcKey(body, chainId) {
+  return chainId+' '+JSON.stringify(Array.isArray(body) ? body.map(strip) : strip(body));
+}
+
+// Responses are stored without ids, batch entries in request order, so replay can stamp the caller's ids back on.
+function unstamp(body, json) {
+  if (!Array.isArray(body)) return json.error ? {error:json.error} : {result:json.result};
+  var byId = {};
+  json.forEach(function(r){ byId[r.id] = r; });
+  return body.map(function(req) {
+    var r = byId[req.id];
+    return !r ? {error:{code:-32603, message:'missing from batch response'}} : r.error ? {error:r.error} : {result:r.result};
+  });
+}
+
+function stamp(body, saved) {
+  if (!Array.isArray(body)) return Object.assign({jsonrpc:'2.0', id:body.id}, saved);
+  return body.map(function(req,i){ return Object.assign({jsonrpc:'2.0', id:req.id}, saved[i]); });
+}
+
+export function recordRpc(body, chainId, json) {
+  if (tape.mode==='record') tape.rpc[rpcKey(body, chainId)] = unstamp(body, json);
+}
+
+export function recordRpcError(body, chainId, err) {
+  if (tape.mode==='record') tape.rpc[rpcKey(body, chainId)] = {$error:err.message};
+}
+
+/** The recorded response for a JSON-RPC body, or a throw when it was never recorded. */
+export function replayRpc(body, chainId) {
+  var saved = tape.rpc[rpcKey(body, chainId)];
+  if (!saved) {
+    var methods = (Array.isArray(body) ? body : [body]).map(function(r){return r.method;});
+    throw new Error('Replay: no recorded response for '+methods.slice(0,3).join(', ')+(methods.length>3?' (+'+(methods.length-3)+')':'')+' on chain '+chainId);
+  }
+  if (saved.$error) throw new Error(saved.$error);
+  return stamp(body, saved);
+}
+
+// The API key is not part of the request identity, and must never end up in a tape.
+function explorerKey(url) { return url.replace(/([?&])apikey=[^&]*&?/i, '$1').replace(/[?&]$/, ''); }
+
+export function recordExplorer(url, json) {
+  if (tape.mode==='record') tape.explorer[explorerKey(url)] = json;
+}
+
+/** Recorded explorer JSON, or undefined when this lookup was not made during recording. */
+export function replayExplorer(url) { return tape.explorer[explorerKey(url)]; }
+
+/**
+ * Start a tape from page query params: `?replay=<tape url>` or `?record`,
+ * falling back to NEXT_PUBLIC_REPLAY for a build that always replays.
+ * Resolves once the tape is loaded; live mode resolves immediately.
+ */
+export async function startTape(search) {
+  var q = new URLSearchParams(search||'');
+  var url = q.get('replay') || ENV_REPLAY;
+  if (url) {
+    var res = await fetch(url);
+    if (!res.ok) throw new Error('Replay: tape '+url+' HTTP '+res.status);
+    loadTape(await res.json(), url);
+  } else if (q.has('record')) {
+    startRecording();
+  }
+}
+
+/** Query params that keep the current tape mode across a URL rewrite. */
+export function tapeQuery() {
+  if (tape.mode==='record') return 'record';
+  if (tape.mode==='replay'&&tape.source&&tape.source!==ENV_REPLAY) return 'replay='+encodeURIComponent(tape.source);
+  return '';
+}
@@ -0,0 +1,164 @@
+/**
+ * ERC-20 approve + ERC-4626 deposit/redeem. Calldata is built with the same
+ * selector encoding as every read; previews come from previewDeposit /
+ * previewRedeem against the fee-free convertToShares / convertToAssets.
+ */
+
+import { rpcCall, rpcBatchSettled, multicall, multicallRequest, decodeAggregate3 } from './chain';
+import { encodeCall, decodeUint256, decodeAddress, eventTopic, strip0x, pow10, toFloat } from './abi';
+import { nativeFeed, feedCalls, readFeed } from './prices';
+import { GAS_UNITS } from './projection';
+import { clock } from './tape';
+import { sendTransaction } from './wallet';
+
+var TOPIC_DEPOSIT  = eventTopic('Deposit(address,address,uint256,uint256)');
+var TOPIC_WITHDRAW = eventTopic('Withdraw(address,address,address,uint256,uint256)');
+var RECEIPT_POLL_MS    = 2000;
+var RECEIPT_TIMEOUT_MS = 5*60*1000;
+
+function ok(r, label) {
+  if (!r.success) throw new Error(label + ' reverted');
+  return r.returnData;
+}
+
+// Cost of the preview vs the fee-free conversion, as a percentage (0 when equal or better).
+function costPct(actual, fair) {
+  if (!(fair>0n)) return 0;
+  var diff = fair - actual;
+  return diff>0n ? Number(diff*1000000n/fair)/10000 : 0;
+}
+
+/**
+ * Preview depositing `assets` (raw BigInt). With an `account`, also reads the
+ * current allowance so the caller knows whether an approve is needed, and
+ * whether a partial allowance has to be reset first (see approvalTxs).
+ */
+export async function previewDeposit(config, assets, account) {
+  var r = await multicall([
+    {target:config.address, callData:encodeCall('asset()',[])},
+    {target:config.address, callData:encodeCall('previewDeposit(uint256)',[assets])},
+    {target:config.address, callData:encodeCall('convertToShares(uint256)',[assets])},
+  ], 'latest', config.chainId);
+  var asset  = decodeAddress(ok(r[0],'asset()'));
+  var shares = decodeUint256(ok(r[1],'previewDeposit'));
+  var fair   = decodeUint256(ok(r[2],'convertToShares'));
+  var allowance = null;
+  if (account) allowance = decodeUint256(await rpcCall('eth_call',[{to:asset,data:encodeCall('allowance(address,address)',[account,config.address])},'latest'], config.chainId));
+  return { asset:asset, assets:assets, shares:shares, fairShares:fair, costPct:costPct(shares,fair), allowance:allowance,
+    needsApproval:allowance!==null&&allowance<assets, needsReset:allowance!==null&&allowance>0n&&allowance<assets };
+}
+
+/** Preview redeeming `shares` (raw BigInt). */
+export async function previewRedeem(config, shares) {
+  var r = await multicall([
+    {target:config.address, callData:encodeCall('previewRedeem(uint256)',[shares])},
+    {target:config.address, callData:encodeCall('convertToAssets(uint256)',[shares])},
+  ], 'latest', config.chainId);
+  var assets = decodeUint256(ok(r[0],'previewRedeem'));
+  var fair   = decodeUint256(ok(r[1],'convertToAssets'));
+  return { shares:shares, assets:assets, fairAssets:fair, costPct:costPct(assets,fair) };
+}
+
+/**
+ * Cost inputs for the projection engine, in one JSON-RPC batch: entry and
+ * exit fee (%) for `assets` (raw BigInt) from the previews, the gas price,
+ * and the gas token's USD price. Resolves to { entryPct, exitPct, gasPrice
+ * (gwei), nativeUsd, gasUsd:{entry, exit} } — gas fields are null when the
+ * gas price or native feed is unavailable.
+ */
+export async function estimateCosts(config, assets) {
+  // Exit fee is measured on the shares this deposit would mint, from the snapshot's share price.
+  var shares = config.sharePriceRaw>0n ? assets*pow10(config.shareDecimals)/config.sharePriceRaw : assets;
+  var feed = nativeFeed(config.chainId);
+  var calls = [
+    {target:config.address, callData:encodeCall('previewDeposit(uint256)',[assets])},
+    {target:config.address, callData:encodeCall('convertToShares(uint256)',[assets])},
+    {target:config.address, callData:encodeCall('previewRedeem(uint256)',[shares])},
+    {target:config.address, callData:encodeCall('convertToAssets(uint256)',[shares])},
+  ].concat(feedCalls(feed));
+  var res = await rpcBatchSettled([multicallRequest(calls, 'latest', config.chainId), {method:'eth_gasPrice'}], config.chainId);
+  if (res[0].status==='rejected') throw res[0].reason;
+  var r = decodeAggregate3(res[0].value);
+  var entryPct = r[0].success&&r[1].success ? costPct(decodeUint256(r[0].returnData), decodeUint256(r[1].returnData)) : 0;
+  var exitPct  = r[2].success&&r[3].success ? costPct(decodeUint256(r[2].returnData), decodeUint256(r[3].returnData)) : 0;
+  var price    = readFeed(feed, r.slice(4), Math.floor(clock()/1000));
+  var nativeUsd = price ? price.usd : null;
+  var gasPrice  = res[1].status==='fulfilled' ? toFloat(BigInt(res[1].value), 9) : null;
+  function usd(units) { return gasPrice!==null&&nativeUsd!==null ? units*gasPrice/1e9*nativeUsd : null; }
+  return {
+    entryPct:entryPct, exitPct:exitPct, gasPrice:gasPrice, nativeUsd:nativeUsd,
+    gasUsd:{ entry:usd(GAS_UNITS.approve+GAS_UNITS.deposit), exit:usd(GAS_UNITS.redeem) },
+  };
+}
+
+// Every built tx carries the vault's chainId so it is signed and tracked on the right chain.
+export function buildApprove(token, spender, amount, chainId) {
+  return { to:token, data:encodeCall('approve(address,uint256)',[spender,amount]), chainId:chainId };
+}
+/**
+ * The approve transactions a deposit preview calls for, in order, as
+ * [{step, tx}]. USDT's approve reverts when it would change one non-zero
+ * allowance to another, so a partial allowance is set to 0 first.
+ */
+export function approvalTxs(preview, spender, chainId) {
+  if (!preview.needsApproval) return [];
+  var txs = [];
+  if (preview.needsReset) txs.push({step:'reset', tx:buildApprove(preview.asset, spender, 0n, chainId)});
+  txs.push({step:'approve', tx:buildApprove(preview.asset, spender, preview.assets, chainId)});
+  return txs;
+}
+export function buildDeposit(config, assets, receiver) {
+  return { to:config.address, data:encodeCall('deposit(uint256,address)',[assets,receiver]), chainId:config.chainId };
+}
+export function buildRedeem(config, shares, receiver, owner) {
+  return { to:config.address, data:encodeCall('redeem(uint256,address,address)',[shares,receiver,owner]), chainId:config.chainId };
+}
+
+function delay(ms) { return new Promise(function(r){setTimeout(r,ms);}); }
+
+export async function waitForReceipt(hash, chainId) {
+  var deadline = Date.now() + RECEIPT_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    var receipt = await rpcCall('eth_getTransactionReceipt',[hash], chainId);
+    if (receipt) return receipt;
+    await delay(RECEIPT_POLL_MS);
+  }
+  throw new Error('Timed out waiting for ' + hash);
+}
+
+/**
+ * Sign `tx` from `from`, then wait for it to be mined. `onUpdate` receives
+ * { state:'signing'|'pending'|'confirmed'|'failed', hash?, receipt?, error? }.
+ * Resolves to the receipt; rejects if the wallet refuses or the tx reverts.
+ */
+export async function sendAndWait(from, tx, onUpdate) {
+  var update = onUpdate||function(){};
+  var hash = null;
+  try {
+    update({state:'signing'});
+    hash = await sendTransaction({from:from, to:tx.to, data:tx.data, chainId:tx.chainId});
+    update({state:'pending', hash:hash});
+    var receipt = await waitForReceipt(hash, tx.chainId);
+    if (receipt.status!=='0x1') throw new Error('Transaction reverted in block ' + parseInt(receipt.blockNumber,16));
+    update({state:'confirmed', hash:hash, receipt:receipt});
+    return receipt;
+  } catch(e) {
+    update({state:'failed', hash:hash, error:e.message});
+    throw e;
+  }
+}
+
+/** Pull { assets, shares } out of the vault's Deposit or Withdraw event in a receipt. */
+export function readVaultEvent(receipt, config) {
+  var addr = config.address.toLowerCase();
+  var log = (receipt.logs||[]).find(function(l) {
+    return l.address.toLowerCase()===addr && (l.topics[0]===TOPIC_DEPOSIT||l.topics[0]===TOPIC_WITHDRAW);
+  });
+  if (!log) return null;
+  var data = strip0x(log.data);
+  return {
+    kind:log.topics[0]===TOPIC_DEPOSIT?'deposit':'withdraw',
+    assets:decodeUint256('0x'+data, 0), shares:decodeUint256('0x'+data, 1),
+    blockNumber:parseInt(receipt.blockNumber,16), hash:receipt.transactionHash,
+  };
+}
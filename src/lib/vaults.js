@@ -0,0 +1,188 @@
+/**
+ * Vault snapshot reads — current state, windowed APYs and the asset price for
+ * every registry entry, one multicall batch per chain. Shared by the page's
+ * refresh cycle and the CLI.
+ */
+
+import { multicallBatch } from './chain';
+import { resolveTimestamps } from './blocks';
+import { discoverVaults, toConfig } from './registry';
+import { priceCalls, readPrice } from './prices';
+import { selector, encodeCall, decodeUint256, pow10, toFloat } from './abi';
+import { APY_WINDOWS, DEFAULT_APY_WINDOW, historyTargets, computeApys, inceptionReturn, buildSeries } from './history';
+import { formatAssetAmount } from './format';
+import { clock } from './tape';
+import { assessRisk } from './risk';
+import { NAV_DAYS, fetchNav } from './nav';
+import { FLOW_DAYS, fetchFlowStats } from './flows';
+
+var SEL = { totalAssets:selector('totalAssets()'), totalSupply:selector('totalSupply()') };
+function encodeConvertToAssets(decimals) { return encodeCall('convertToAssets(uint256)', [pow10(decimals)]); }
+
+// Reads issued per vault in the `latest` round; history rounds read the share price and TVL.
+function vaultCalls(config) {
+  return [
+    {target:config.address, callData:SEL.totalAssets},
+    {target:config.address, callData:SEL.totalSupply},
+    {target:config.address, callData:encodeConvertToAssets(config.shareDecimals)},
+  ];
+}
+function vaultHistoricalCalls(config) {
+  return [
+    {target:config.address, callData:encodeConvertToAssets(config.shareDecimals)},
+    {target:config.address, callData:SEL.totalAssets},
+  ];
+}
+
+// Share price is convertToAssets(one whole share), in asset units. A vault with no shares minted yet is pending.
+// totalAssets / totalSupply / sharePriceRaw stay BigInt; tvlRaw, pricePerShare and apys are the display floats.
+// `past` maps days-ago → that vault's history round results; `elapsed` maps days-ago → actual days elapsed.
+// Any results after the first three are the asset's price feed; a bad feed only drops the USD figures.
+function buildVault(config, now, past, elapsed, nowSec) {
+  if (!now.slice(0,3).every(function(r){return r.success;})) throw new Error('vault read reverted');
+  var totalAssets = decodeUint256(now[0].returnData);
+  var totalSupply = decodeUint256(now[1].returnData);
+  var priceNow    = decodeUint256(now[2].returnData);
+  var samples = {}, assets = {now:totalAssets, samples:{}};
+  Object.keys(past).forEach(function(d) {
+    if (past[d][0].success) samples[d] = decodeUint256(past[d][0].returnData);
+    if (past[d][1]&&past[d][1].success) assets.samples[d] = decodeUint256(past[d][1].returnData);
+  });
+  var apys    = computeApys(priceNow, samples, elapsed);
+  var tvlRaw  = toFloat(totalAssets,config.assetDecimals);
+  var price   = readPrice(config, now.slice(3), nowSec);
+  var priceUsd = price ? price.usd : null;
+  var vault = Object.assign({}, config, {
+    totalAssets, totalSupply, sharePriceRaw:priceNow, pricePerShare:toFloat(priceNow,config.assetDecimals),
+    tvlRaw, tvl:formatAssetAmount(tvlRaw,config.assetSymbol), price, priceUsd, tvlUsd:priceUsd!==null?tvlRaw*priceUsd:null,
+    apy:apys[DEFAULT_APY_WINDOW], apys, itd:inceptionReturn(priceNow,config.assetDecimals), history:buildSeries(priceNow,samples,config.assetDecimals,elapsed,assets),
+    pending:totalSupply===0n, live:true, fetchedAt:Date.now(),
+  });
+  var report = assessRisk(vault);
+  return Object.assign(vault, {risk:report.level, riskReport:report});
+}
+
+// Split a flat aggregate3 result list back into the per-vault groups it was built from.
+function splitResults(results, groups) {
+  var at = 0;
+  return groups.map(function(g){ var part = results.slice(at, at+g.length); at += g.length; return part; });
+}
+
+// One refresh cycle on one chain: resolve every history timestamp to a block
+// once, then send the current round and one round per history block together
+// as a single JSON-RPC batch. Resolves to Promise.allSettled-style entries, one per config.
+export async function fetchVaults(configs, chainId) {
+  var targets  = historyTargets(Math.floor(clock()/1000));
+  var resolved = await resolveTimestamps(targets.map(function(t){return t.timestamp;}), chainId);
+  var latest   = resolved.latest;
+  var elapsed  = {};
+  targets.forEach(function(t){ elapsed[t.days] = (latest.timestamp-resolved.blocks[t.timestamp].timestamp)/86400; });
+  var nowGroups  = configs.map(function(c){return vaultCalls(c).concat(priceCalls(c));});
+  var pastGroups = configs.map(vaultHistoricalCalls);
+  var rounds = [{calls:[].concat.apply([],nowGroups), block:'0x'+latest.number.toString(16)}].concat(targets.map(function(t) {
+    return {calls:[].concat.apply([],pastGroups), block:'0x'+resolved.blocks[t.timestamp].number.toString(16)};
+  }));
+  var res = await multicallBatch(rounds, chainId);
+  if (res[0].status==='rejected') throw res[0].reason;
+  var now  = splitResults(res[0].value, nowGroups);
+  var past = configs.map(function(){return {};});
+  targets.forEach(function(t,i) {
+    var r = res[i+1];
+    if (r.status==='rejected') { console.warn('History round '+t.days+'d failed:', r.reason.message); return; }
+    splitResults(r.value, pastGroups).forEach(function(group,j){ past[j][t.days] = group; });
+  });
+  var out = configs.map(function(config,i) {
+    try { return {status:'fulfilled',value:Object.assign(buildVault(config, now[i], past[i], elapsed, latest.timestamp), {blockNumber:latest.number})}; }
+    catch(e) { return {status:'rejected',reason:e}; }
+  });
+  // Every vault also gets its Deposit / Withdraw totals from the FLOW_DAYS history block, and NAV vaults
+  // their accounting-update series from the NAV_DAYS one; risk is scored again with both.
+  var navTarget  = targets.find(function(t){return t.days===NAV_DAYS;});
+  var flowTarget = targets.find(function(t){return t.days===FLOW_DAYS;});
+  await Promise.all(out.map(async function(r,i) {
+    if (r.status!=='fulfilled') return;
+    var v = r.value;
+    try { v.flowStats = await fetchFlowStats(configs[i], resolved.blocks[flowTarget.timestamp].number+1, latest.number); }
+    catch(e) { console.warn('Flow index for '+v.id+' failed:', e.message); v.flowStats = {error:e.message}; }
+    if (configs[i].nav) {
+      try { v.nav = await fetchNav(configs[i], resolved.blocks[navTarget.timestamp].number, latest, chainId); }
+      catch(e) { console.warn('NAV scan for '+v.id+' failed:', e.message); v.nav = {error:e.message}; }
+    }
+    v.riskReport = assessRisk(v); v.risk = v.riskReport.level;
+  }));
+  return out;
+}
+
+export function chainsOf(list) {
+  var ids = [];
+  list.forEach(function(v){ if (ids.indexOf(v.chainId)<0) ids.push(v.chainId); });
+  return ids;
+}
+
+// Discover metadata for one chain's entries (cached after the first cycle), then fetch the live snapshot.
+async function fetchChainRegistry(entries, chainId) {
+  var meta = await discoverVaults(entries.map(function(e){return e.address;}), chainId);
+  var configs = [], slots = [];
+  var results = entries.map(function(e,i) {
+    var m = meta[e.address.toLowerCase()];
+    if (m instanceof Error) return {status:'rejected',reason:m};
+    slots.push(i); configs.push(toConfig(e,m));
+    return null;
+  });
+  var fetched = configs.length ? await fetchVaults(configs, chainId) : [];
+  slots.forEach(function(slot,i){ results[slot] = fetched[i]; });
+  return results;
+}
+
+// Every chain is fetched in parallel; a chain whose RPC pool is down only fails its own vaults.
+export async function fetchRegistry(entries) {
+  var results = new Array(entries.length);
+  await Promise.all(chainsOf(entries).map(async function(chainId) {
+    var idx = [];
+    entries.forEach(function(e,i){ if (e.chainId===chainId) idx.push(i); });
+    var part;
+    try { part = await fetchChainRegistry(idx.map(function(i){return entries[i];}), chainId); }
+    catch(e) { part = idx.map(function(){return {status:'rejected',reason:e};}); }
+    idx.forEach(function(slot,i){ results[slot] = part[i]; });
+  }));
+  return results;
+}
+
+// A saved snapshot standing in for a vault that has not been (or could not be) read this session.
+// Registry fields come from the current entry, so an edited display name still applies; the risk rating is the snapshot's.
+export function staleVault(entry, saved) { return Object.assign({}, saved, entry, {risk:saved.risk, live:false, stale:true}); }
+
+/**
+ * Turn one fetchRegistry round into what the page shows: a failed vault falls
+ * back to its saved snapshot (`saved` maps id → vault) or a "Fetch failed"
+ * placeholder. Resolves to { vaults, failCount, error } where `error` is the
+ * banner text, null when every read landed.
+ */
+export function settleRegistry(entries, results, saved) {
+  var vaults = results.map(function(r,i) {
+    if (r.status==='fulfilled') return r.value;
+    console.warn('Vault '+entries[i].id+' failed:', r.reason&&r.reason.message);
+    var last = saved[entries[i].id];
+    return last ? staleVault(entries[i], last) : Object.assign({},entries[i],{apy:null,tvl:'Fetch failed',live:false});
+  });
+  var failCount = results.filter(function(r){return r.status==='rejected';}).length;
+  var error = failCount===entries.length ? 'All vault fetches failed on every RPC endpoint. Check your RPC URLs.'
+    : failCount>0 ? failCount+' vault(s) could not be reached.' : null;
+  return { vaults:vaults, failCount:failCount, error:error };
+}
+
+// Flat, export-ready snapshot of one vault read; BigInt raws sit next to their display floats.
+export function snapshotRow(v) {
+  var row = {id:v.id, name:v.displayName, chainId:v.chainId, address:v.address, asset:v.assetSymbol, live:v.live};
+  APY_WINDOWS.forEach(function(w){ row['apy'+w.label] = v.apys ? v.apys[w.days] : null; });
+  Object.assign(row, {
+    risk:v.risk, riskGrade:v.riskReport?v.riskReport.grade:null, riskScore:v.riskReport?v.riskReport.score:null,
+    riskReasons:v.riskReport?v.riskReport.reasons.map(function(r){return r.text;}).join('; '):null,
+    navApy:v.nav?v.nav.apy:null, navUpdatedAt:v.nav&&v.nav.last ? new Date(v.nav.last.at).toISOString() : null,
+    itd:v.itd, tvl:v.tvlRaw, tvlUsd:v.tvlUsd, sharePrice:v.pricePerShare, sharePriceRaw:v.sharePriceRaw,
+    totalAssets:v.totalAssets, totalSupply:v.totalSupply, priceUsd:v.priceUsd, blockNumber:v.blockNumber,
+    fetchedAt:v.fetchedAt ? new Date(v.fetchedAt).toISOString() : null,
+  });
+  Object.keys(row).forEach(function(k){ if (row[k]===undefined) row[k] = null; });
+  return row;
+}
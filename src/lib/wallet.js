@@ -0,0 +1,65 @@
+/**
+ * EIP-1193 injected wallet — connection only. No ethers/wagmi: requests go
+ * straight to window.ethereum, and chain reads keep using the RPC pool.
+ */
+
+export function getInjected() {
+  return typeof window!=='undefined' && window.ethereum ? window.ethereum : null;
+}
+
+export function shortAddress(addr) {
+  return addr ? addr.slice(0,6)+'…'+addr.slice(-4) : '';
+}
+
+async function request(method, params) {
+  var eth = getInjected();
+  if (!eth) throw new Error('No injected wallet found');
+  return eth.request({ method:method, params:params||[] });
+}
+
+/** Prompt for accounts. Resolves to { account, chainId }. */
+export async function connectWallet() {
+  var accounts = await request('eth_requestAccounts');
+  var chainId  = parseInt(await request('eth_chainId'),16);
+  return { account:accounts[0]||null, chainId:chainId };
+}
+
+/** Already-authorised accounts, without prompting. */
+export async function restoreWallet() {
+  if (!getInjected()) return { account:null, chainId:null };
+  var accounts = await request('eth_accounts');
+  var chainId  = parseInt(await request('eth_chainId'),16);
+  return { account:accounts[0]||null, chainId:chainId };
+}
+
+/** Subscribe to account/chain changes; returns an unsubscribe function. */
+export function watchWallet(onAccounts, onChain) {
+  var eth = getInjected();
+  if (!eth||!eth.on) return function(){};
+  function accounts(a){ onAccounts(a&&a[0]||null); }
+  function chain(id){ onChain(parseInt(id,16)); }
+  eth.on('accountsChanged', accounts);
+  eth.on('chainChanged', chain);
+  return function() {
+    if (!eth.removeListener) return;
+    eth.removeListener('accountsChanged', accounts);
+    eth.removeListener('chainChanged', chain);
+  };
+}
+
+/** Ask the wallet to switch to `chainId` (EIP-3326). */
+export async function switchChain(chainId) {
+  await request('wallet_switchEthereumChain', [{ chainId:'0x'+chainId.toString(16) }]);
+}
+
+/**
+ * Hand a transaction to the wallet for signing. Resolves to the tx hash.
+ * With `tx.chainId`, refuses to send while the wallet is on another chain.
+ */
+export async function sendTransaction(tx) {
+  if (tx.chainId) {
+    var current = parseInt(await request('eth_chainId'),16);
+    if (current!==tx.chainId) throw new Error('Wallet is on chain '+current+'; switch to chain '+tx.chainId+' first');
+  }
+  return request('eth_sendTransaction', [{ from:tx.from, to:tx.to, data:tx.data, value:tx.value||'0x0' }]);
+}
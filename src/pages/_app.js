@@ -1,5 +1,11 @@
+import { useEffect } from 'react';
 import '../styles/globals.css';
 
 export default function App({ Component, pageProps }) {
+  // Only the production build is made to work offline; in dev a worker would serve stale bundles.
+  useEffect(function() {
+    if (process.env.NODE_ENV!=='production'||!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register('/sw.js').catch(function(e){ console.warn('Service worker not registered:', e.message); });
+  }, []);
   return <Component {...pageProps} />;
 }
@@ -0,0 +1,86 @@
+/**
+ * CONCRETE.YIELD — embed: one vault card and a compact projection, for an
+ * iframe on a partner page. See src/lib/embed.js for the query parameters
+ * and the postMessage API.
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { REGISTRY } from '../lib/registry';
+import { toAssetAmount } from '../lib/format';
+import { encodeScenario } from '../lib/scenario';
+import { decodeEmbed, findEmbedVault, embedMessage, readMessage, updateMessages } from '../lib/embed';
+import { useVaultData, useCosts, VaultCard, YieldLadder } from '../components/vault';
+
+var THEME_STYLE = {
+  dark:        {background:'#0D0D0D'},
+  light:       {background:'#0D0D0D', filter:'invert(1) hue-rotate(180deg)'},
+  transparent: {background:'transparent'},
+};
+
+function EmbedInner() {
+  var config = useMemo(function(){ return decodeEmbed(window.location.search); }, []);
+  var [vaultRef,setVaultRef]         = useState(config.vault);
+  // Only the shown vault is read, and without saved snapshots: an embed adds one vault's reads and no storage.
+  var entries = useMemo(function(){ return [findEmbedVault(REGISTRY, vaultRef) || REGISTRY[0]]; }, [vaultRef]);
+  var {vaults,lastFetched} = useVaultData(entries, false);
+  var [principal,setPrincipal]       = useState(config.principal);
+  var [unit,setUnit]                 = useState(config.unit);
+  var [selectedDays,setSelectedDays] = useState(config.days);
+  var [apyWindow,setApyWindow]       = useState(config.apyWindow);
+  // After setVault the previous read is still in `vaults` until the new vault's first refresh lands.
+  var read   = vaults.find(function(v){return v.id===entries[0].id;});
+  var vault  = read || Object.assign({}, entries[0], {apy:null,tvl:null,live:false});
+  var amount = toAssetAmount(principal, unit, vault);
+  var costs  = useCosts(vault, amount, lastFetched);
+
+  function post(msg) { if (window.parent!==window) window.parent.postMessage(msg, config.origin); }
+
+  // Host commands.
+  useEffect(function() {
+    function onMessage(e) {
+      if (config.origin!=='*'&&e.origin!==config.origin) return;
+      try {
+        var m = readMessage(e.data);
+        if (!m) return;
+        if (m.type==='setPrincipal') { setPrincipal(m.principal); if (m.unit) setUnit(m.unit); }
+        if (m.type==='setHorizon') setSelectedDays(m.days);
+        if (m.type==='setVault') {
+          if (!findEmbedVault(REGISTRY, m.vault)) throw new Error('setVault: no vault '+m.vault);
+          setVaultRef(m.vault);
+        }
+      } catch(err) {
+        post(embedMessage('error', {message:err.message}));
+      }
+    }
+    window.addEventListener('message', onMessage);
+    post(embedMessage('ready', {vaults:REGISTRY.map(function(e){return e.id;})}));
+    if (config.vault&&!findEmbedVault(REGISTRY, config.vault)) post(embedMessage('error', {message:'No vault '+config.vault+' — showing '+REGISTRY[0].id}));
+    return function(){ window.removeEventListener('message', onMessage); };
+  }, []);
+
+  // Updates go out on every refresh and whenever the projection inputs change.
+  useEffect(function() {
+    if (!read||!lastFetched) return;
+    updateMessages(vault, {principal:principal, unit:unit, days:selectedDays, apyWindow:apyWindow, costs:costs.costs}).forEach(post);
+  }, [lastFetched, vault&&vault.id, principal, unit, selectedDays, apyWindow, costs.costs]);
+
+  var full = '/?'+encodeScenario({principal:principal, unit:unit, days:selectedDays, apyWindow:apyWindow, monthly:0, mode:'single', chain:'all',
+    vault:{chainId:vault.chainId, address:vault.address}});
+  return (
+    <div className="min-h-screen p-3 space-y-3" style={THEME_STYLE[config.theme]}>
+      {config.theme==='transparent'&&<style>{'html,body{background:transparent!important}body::before{display:none}'}</style>}
+      <VaultCard vault={vault} selected apyWindow={apyWindow} onClick={function(){}}/>
+      <YieldLadder compact amount={amount} monthly={0} monthlyInput={0} setMonthlyInput={function(){}} unit={unit} costs={costs} vault={vault}
+        selectedDays={selectedDays} setSelectedDays={setSelectedDays} apyWindow={apyWindow} setApyWindow={setApyWindow} lastFetched={lastFetched}/>
+      <a href={full} target="_blank" rel="noopener noreferrer" className="block text-center font-mono text-[10px] text-[#00FF41] opacity-30 hover:opacity-80">
+        CONCRETE.YIELD ↗ FULL CALCULATOR
+      </a>
+    </div>
+  );
+}
+
+export default function Embed() {
+  var [hasMounted,setHasMounted] = useState(false);
+  useEffect(function(){ setHasMounted(true); }, []);
+  return hasMounted ? <EmbedInner/> : null;
+}
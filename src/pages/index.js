@@ -3,168 +3,126 @@
  * Community contribution to concrete.xyz
  */
 
-import { useState, useEffect, useRef, useCallback } from 'react';
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import {
-  ShieldCheck, TrendingUp, Zap, Lock,
-  Activity, DollarSign, Percent, RefreshCw,
-  AlertTriangle, Wifi, Clock,
+  Lock, Percent, RefreshCw, AlertTriangle, Wifi, Clock, Wallet,
 } from 'lucide-react';
+import { CHAINS, DEFAULT_CHAIN, getChain, chainLabel, explorerTx } from '../lib/chains';
+import { getInjected, connectWallet, restoreWallet, watchWallet, switchChain, shortAddress } from '../lib/wallet';
+import { fetchPositions } from '../lib/positions';
+import { previewDeposit, previewRedeem, approvalTxs, buildDeposit, buildRedeem, sendAndWait, readVaultEvent } from '../lib/transactions';
+import { RISK_LEVELS, allocate, blendedApy, portfolioLadder, rankByYield, optimise } from '../lib/portfolio';
+import { project } from '../lib/projection';
+import { toFloat, parseUnits } from '../lib/abi';
+import { encodeScenario, decodeScenario } from '../lib/scenario';
+import { toJson, download } from '../lib/exports';
+import { startTape, tapeInfo, tapeJson, tapeQuery } from '../lib/tape';
+import { RULE_KINDS, ruleLabel, loadRules, saveRules, loadHistory, saveHistory, makeRule, evaluate, alertLogLine, notificationsSupported, requestNotifications, notify } from '../lib/alerts';
+import { APY_WINDOWS, apyFor, windowLabel } from '../lib/history';
+import { formatUSD, formatAssetAmount, toUsd, formatDual, toAssetAmount, apyDisplay, timeSince } from '../lib/format';
+import { chainsOf, snapshotRow } from '../lib/vaults';
+import { fetchFlows } from '../lib/flows';
+import { checkCapacity } from '../lib/capacity';
+import { runCommand } from '../lib/commands';
+import { TIMEFRAMES, LOG_PREFIX, costInputs, generateLog, generatePortfolioLog } from '../lib/simulation';
+import { useRegistry, useVaultData, useCosts, ExportButtons, VaultCard, YieldLadder } from '../components/vault';
 
-const ETHEREUM_RPC  = process.env.NEXT_PUBLIC_RPC_URL       || 'https://eth.llamarpc.com';
-const ETHERSCAN_KEY = process.env.NEXT_PUBLIC_ETHERSCAN_KEY || '';
-const ETHERSCAN_API = 'https://api.etherscan.io/api';
-
-const VAULT_CONFIGS = [
-  { id:'usdt', address:'0x0E609b710da5e0AA476224b6c0e5445cCc21251E', displayName:'USDT', assetSymbol:'USDT', assetDecimals:6, risk:'LOW', borderColor:'#00FF41', subtitle:'Stablecoin Yield', description:'USDT-denominated vault. Stable returns via automated DeFi strategies.' },
-  { id:'weweth', address:'0xB9DC54c8261745CB97070CeFBE3D3d815aee8f20', displayName:'WeWETH', assetSymbol:'WETH', assetDecimals:18, risk:'MED', borderColor:'#FFB800', subtitle:'Wrapped ETH Yield', description:'ETH-denominated. Assets held by regulated custodian (BitGo). NAV updated daily on-chain by automated accounting. $400M+ TVL.', institutional:true },
-  { id:'wbtc', address:'0xacce65B9dB4810125adDEa9797BaAaaaD2B73788', displayName:'WBTC', assetSymbol:'WBTC', assetDecimals:8, risk:'MED', borderColor:'#FFB800', subtitle:'Bitcoin Yield', description:'BTC-denominated. Yield on wrapped BTC via DeFi protocols.', pending:true },
-  { id:'frxusd', address:'0xCF9ceAcf5c7d6D2FE6e8650D81FbE4240c72443f', displayName:'frxUSD', assetSymbol:'frxUSD', assetDecimals:18, risk:'LOW', borderColor:'#00FF41', subtitle:'Frax Stablecoin Yield', description:'frxUSD-denominated. Frax ecosystem yield strategies.' },
-];
-
-const TIMEFRAMES = [
-  { label:'7D', days:7 }, { label:'1M', days:30 }, { label:'3M', days:90 }, { label:'6M', days:180 }, { label:'1Y', days:365 },
-];
-
-function formatUSD(n) {
-  if (!n && n !== 0) return '—';
-  if (n >= 1000000) return '$' + (n/1000000).toFixed(2) + 'M';
-  if (n >= 1000)    return '$' + (n/1000).toFixed(2) + 'K';
-  return '$' + n.toFixed(2);
-}
-function formatAssetAmount(n, symbol) {
-  if (n >= 1000000) return (n/1000000).toFixed(2) + 'M ' + symbol;
-  if (n >= 1000)    return (n/1000).toFixed(2) + 'K ' + symbol;
-  return n.toFixed(4) + ' ' + symbol;
-}
-function calcYield(principal, apyPct, days) {
-  if (!apyPct) return 0;
-  return principal * (Math.pow(1 + apyPct/100/365, days) - 1);
-}
-function calcTotal(principal, apyPct, days) {
-  if (!apyPct) return principal;
-  return principal * Math.pow(1 + apyPct/100/365, days);
-}
-function apyDisplay(apy) {
-  if (apy === null || apy === undefined) return 'N/A';
-  return apy.toFixed(2) + '%';
-}
-function timeSince(ts) {
-  if (!ts) return '—';
-  var s = Math.floor((Date.now() - ts) / 1000);
-  if (s < 60)   return s + 's ago';
-  if (s < 3600) return Math.floor(s/60) + 'm ago';
-  return Math.floor(s/3600) + 'h ago';
+function useWallet() {
+  var [account,setAccount] = useState(null);
+  var [chainId,setChainId] = useState(null);
+  var [error,setError]     = useState(null);
+  useEffect(function() {
+    restoreWallet().then(function(w){setAccount(w.account);setChainId(w.chainId);}).catch(function(){});
+    return watchWallet(setAccount, setChainId);
+  }, []);
+  var connect = useCallback(async function() {
+    setError(null);
+    try { var w = await connectWallet(); setAccount(w.account); setChainId(w.chainId); }
+    catch(e) { setError(e.message); }
+  }, []);
+  var switchTo = useCallback(async function(id) {
+    setError(null);
+    try { await switchChain(id); setChainId(id); }
+    catch(e) { setError(e.message); }
+  }, []);
+  return { account, chainId, error, available:!!getInjected(), connect, switchTo, disconnect:function(){setAccount(null);} };
 }
 
-async function rpcCall(method, params) {
-  var res = await fetch(ETHEREUM_RPC, { method:'POST', headers:{'Content-Type':'application/json'}, body:JSON.stringify({jsonrpc:'2.0',id:1,method:method,params:params||[]}) });
-  if (!res.ok) throw new Error('RPC HTTP ' + res.status);
-  var json = await res.json();
-  if (json.error) throw new Error('RPC: ' + json.error.message);
-  return json.result;
+// Re-reads positions whenever the account changes or the vault snapshot refreshes.
+function usePositions(account, lastFetched, vaults) {
+  var [positions,setPositions] = useState({});
+  var [loading,setLoading]     = useState(false);
+  useEffect(function() {
+    if (!account) { setPositions({}); return; }
+    var cancelled = false;
+    setLoading(true);
+    fetchPositions(vaults.filter(function(v){return v.shareDecimals!==undefined;}), account)
+      .then(function(p){ if (!cancelled) setPositions(p); })
+      .catch(function(e){ console.warn('Position read failed:', e.message); })
+      .finally(function(){ if (!cancelled) setLoading(false); });
+    return function(){ cancelled = true; };
+  }, [account, lastFetched]);
+  return { positions, loading };
 }
-async function ethCall(to, data, block) { return rpcCall('eth_call', [{to:to,data:data}, block||'latest']); }
 
-var SEL = { totalAssets:'0x01e1d114', totalSupply:'0x18160ddd', convertToAssets:'0x07a2d13a' };
-function encodeConvertToAssets(decimals) {
-  var val = '1'; for (var i=0;i<decimals;i++) val+='0';
-  return SEL.convertToAssets + Math.floor(parseFloat(val)).toString(16).padStart(64,'0');
-}
-function decodeUint256(hex) { if (!hex||hex==='0x') return 0; return parseInt(hex,16); }
-
-async function getBlockDaysAgo(days) {
-  var timestamp = Math.floor(Date.now()/1000) - days*86400;
-  var key = ETHERSCAN_KEY ? '&apikey='+ETHERSCAN_KEY : '';
-  try {
-    var res = await fetch(ETHERSCAN_API+'?module=block&action=getblocknobytime&timestamp='+timestamp+'&closest=before'+key);
-    var json = await res.json();
-    if (json.status==='1') return '0x'+parseInt(json.result,10).toString(16);
-  } catch(e) {}
-  var currentHex = await rpcCall('eth_blockNumber');
-  return '0x'+Math.max(0,parseInt(currentHex,16)-Math.round(days*86400/12)).toString(16);
+// Deposit / withdraw flows for the selected vault, re-indexed with each snapshot. Keyed by vault id like useCosts.
+function useFlows(vault, lastFetched) {
+  var [state,setState] = useState({id:null,flows:null,error:null,loading:false});
+  var id = vault&&vault.id;
+  useEffect(function() {
+    if (!vault||!vault.live||vault.pending) return;
+    var cancelled = false;
+    setState(function(s){ return s.id===id ? Object.assign({},s,{loading:true}) : {id:id,flows:null,error:null,loading:true}; });
+    fetchFlows(vault)
+      .then(function(f){ if (!cancelled) setState({id:id,flows:f,error:null,loading:false}); })
+      .catch(function(e){ if (!cancelled) setState({id:id,flows:null,error:e.message,loading:false}); });
+    return function(){ cancelled = true; };
+  }, [id, vault&&vault.live, lastFetched]);
+  return state.id===id ? state : {id:id,flows:null,error:null,loading:false};
 }
 
-async function fetchSingleVault(config) {
-  var results = await Promise.all([
-    ethCall(config.address, SEL.totalAssets),
-    ethCall(config.address, SEL.totalSupply),
-    ethCall(config.address, encodeConvertToAssets(config.assetDecimals)),
-  ]);
-  var totalAssets = decodeUint256(results[0]);
-  var totalSupply = decodeUint256(results[1]);
-  var priceNow    = decodeUint256(results[2]);
-  var apy = null;
-  try {
-    var block7d = await getBlockDaysAgo(7);
-    var price7  = decodeUint256(await ethCall(config.address, encodeConvertToAssets(config.assetDecimals), block7d));
-    if (price7>0&&priceNow>0) {
-      var computed = (Math.pow(priceNow/price7, 365/7)-1)*100;
-      if (!isNaN(computed)&&computed>=0&&computed<=50000) apy=computed;
-    }
-  } catch(e) { console.warn('APY calc failed for '+config.id+':', e.message); }
-  var tvlRaw = totalAssets/Math.pow(10,config.assetDecimals);
-  return Object.assign({}, config, { totalAssets, totalSupply, pricePerShare:priceNow/Math.pow(10,config.assetDecimals), tvlRaw, tvl:formatAssetAmount(tvlRaw,config.assetSymbol), apy, live:true, fetchedAt:Date.now() });
+// Deposit cap and exit liquidity for the current deposit, debounced and keyed like useCosts.
+function useCapacity(vault, amount, account, lastFetched) {
+  var [state,setState] = useState({id:null,capacity:null,error:null});
+  var id = vault&&vault.id;
+  useEffect(function() {
+    if (!vault||!vault.live||vault.pending||!(amount>0)) return;
+    var cancelled = false;
+    var t = setTimeout(function() {
+      checkCapacity(vault, parseUnits(amount, vault.assetDecimals), account)
+        .then(function(c){ if (!cancelled) setState({id:id,capacity:c,error:null}); })
+        .catch(function(e){ if (!cancelled) setState({id:id,capacity:null,error:e.message}); });
+    }, 400);
+    return function(){ cancelled = true; clearTimeout(t); };
+  }, [id, vault&&vault.live, amount, account, lastFetched]);
+  return state.id===id ? state : {capacity:null,error:null};
 }
 
-function generateLog(principal, vault, days) {
-  var lines = [];
-  var apyStr = vault.apy!==null ? vault.apy.toFixed(2)+'%' : 'N/A (live fetch pending)';
-  lines.push({ts:'00:00:00',type:'sys', text:'CONCRETE.YIELD v2.1.0 — LIVE MODE'});
-  lines.push({ts:'00:00:00',type:'sys', text:'RPC → '+ETHEREUM_RPC});
-  lines.push({ts:'00:00:00',type:'sys', text:'CHAIN → Ethereum Mainnet (1)'});
-  lines.push({ts:'00:00:01',type:'info',text:'VAULT: '+vault.displayName+' — '+vault.address});
-  lines.push({ts:'00:00:01',type:'info',text:'7-DAY APY: '+apyStr});
-  lines.push({ts:'00:00:02',type:'info',text:'TVL: '+(vault.tvl||'fetching...')});
-  lines.push({ts:'00:00:02',type:'info',text:'PRINCIPAL: '+formatUSD(principal)});
-  lines.push({ts:'00:00:02',type:'info',text:'HORIZON: '+days+'d'});
-  lines.push({ts:'00:00:03',type:'sys', text:'ENGAGING PROTECTION LAYER...'});
-  lines.push({ts:'00:00:03',type:'ok',  text:'[OK] SLIPPAGE GUARD ACTIVE'});
-  lines.push({ts:'00:00:04',type:'ok',  text:'[OK] IL HEDGE INITIALIZED'});
-  lines.push({ts:'00:00:04',type:'ok',  text:'[OK] EXIT CIRCUIT ARMED'});
-  lines.push({ts:'00:00:05',type:'sys', text:'─── PROJECTION STREAM ──────────────'});
-  if (vault.apy!==null) {
-    var checkpoints = [1,7,14,30,60,90,180,365].filter(function(d){return d<=days;});
-    var tpls = ['00:00:06','00:00:09','00:00:12','00:00:16','00:00:21','00:00:27','00:00:34','00:00:42'];
-    checkpoints.forEach(function(d,i) {
-      lines.push({ts:tpls[i]||'00:01:00',type:'yield',text:'DAY '+String(d).padStart(4,'0')+' → EARNED: '+formatUSD(calcYield(principal,vault.apy,d))+'  ·  TOTAL: '+formatUSD(calcTotal(principal,vault.apy,d))});
-    });
-    var fy = calcYield(principal,vault.apy,days);
-    lines.push({ts:'00:01:10',type:'sys',   text:'─── FINAL PROJECTION ───────────────'});
-    lines.push({ts:'00:01:11',type:'result',text:'GROSS YIELD: '+formatUSD(fy)});
-    lines.push({ts:'00:01:11',type:'result',text:'ROI: '+((fy/principal)*100).toFixed(2)+'%'});
-    lines.push({ts:'00:01:12',type:'result',text:'NET TOTAL:   '+formatUSD(calcTotal(principal,vault.apy,days))});
-  } else {
-    lines.push({ts:'00:01:10',type:'warn',text:'APY unavailable — vault may be new or RPC slow'});
-    lines.push({ts:'00:01:11',type:'warn',text:'Wait for live data then re-run simulation'});
-  }
-  lines.push({ts:'00:01:13',type:'ok',text:'SIMULATION COMPLETE ▊'});
-  return lines;
+// Watchlist rules and alert history. Rules are checked once per refresh; `latest` is the last refresh's alerts.
+function useWatchlist(vaults, lastFetched) {
+  var [rules,setRules]     = useState(loadRules);
+  var [history,setHistory] = useState(loadHistory);
+  var [latest,setLatest]   = useState([]);
+  var [permission,setPermission] = useState(function(){ return notificationsSupported() ? Notification.permission : 'unsupported'; });
+  useEffect(function() {
+    if (!lastFetched) return;
+    var fired = evaluate(rules, vaults);
+    if (!fired.length) return;
+    fired.forEach(notify);
+    setLatest(fired);
+    setHistory(function(h){ return saveHistory(fired.concat(h)); });
+  }, [lastFetched]);
+  function update(next) { saveRules(next); setRules(next); }
+  var addRule = function(vaultId, kind, value) {
+    update(rules.concat([makeRule(vaultId, kind, value)]));
+    requestNotifications().then(setPermission);
+  };
+  var removeRule   = function(id){ update(rules.filter(function(r){return r.id!==id;})); };
+  var clearHistory = function(){ setHistory(saveHistory([])); };
+  return { rules, history, latest, permission, addRule, removeRule, clearHistory };
 }
 
-function useVaultData() {
-  var [vaults,setVaults]           = useState(VAULT_CONFIGS.map(function(v){return Object.assign({},v,{apy:null,tvl:null,live:false});}));
-  var [loading,setLoading]         = useState(true);
-  var [error,setError]             = useState(null);
-  var [lastFetched,setLastFetched] = useState(null);
-  var [tick,setTick]               = useState(0);
-  var fetchAll = useCallback(async function() {
-    setLoading(true); setError(null);
-    var results = await Promise.allSettled(VAULT_CONFIGS.map(fetchSingleVault));
-    var updated = results.map(function(r,i) {
-      if (r.status==='fulfilled') return r.value;
-      console.warn('Vault '+VAULT_CONFIGS[i].id+' failed:', r.reason&&r.reason.message);
-      return Object.assign({},VAULT_CONFIGS[i],{apy:null,tvl:'Fetch failed',live:false});
-    });
-    var failCount = results.filter(function(r){return r.status==='rejected';}).length;
-    if (failCount===VAULT_CONFIGS.length) setError('All vault fetches failed. Check your RPC URL.');
-    else if (failCount>0) setError(failCount+' vault(s) could not be reached.');
-    setVaults(updated); setLastFetched(new Date()); setLoading(false);
-  }, []);
-  useEffect(function() { fetchAll(); var t=setInterval(fetchAll,60000); return function(){clearInterval(t);}; }, [fetchAll,tick]);
-  return { vaults, loading, error, lastFetched, fetchAll, retry:function(){setTick(function(c){return c+1;});} };
-}
-
-function LiveBadge({loading,lastFetched,onRefresh}) {
+function LiveBadge({loading,lastFetched,provider,onRefresh,staleAt}) {
   var [,setNow] = useState(Date.now());
   useEffect(function(){ var t=setInterval(function(){setNow(Date.now());},1000); return function(){clearInterval(t);}; },[]);
   return (
@@ -177,6 +135,14 @@ function LiveBadge({loading,lastFetched,onRefresh}) {
           LIVE · {timeSince(lastFetched&&lastFetched.getTime())}
         </span>
       )}
+      {staleAt!==null&&(
+        <span className="text-[#FFB800]" title="Saved snapshot shown until the chain answers">STALE · {timeSince(staleAt)}</span>
+      )}
+      {!loading&&provider&&provider.host&&(
+        <span className="text-[#00FF41] opacity-30" title={provider.failedOver?'Primary endpoint failed — served by fallback':'Served by '+provider.host}>
+          via {provider.host}{provider.failedOver&&<span className="text-[#FFB800] opacity-100 ml-1">· FAILOVER</span>}
+        </span>
+      )}
       <button onClick={onRefresh} disabled={loading} className="opacity-30 hover:opacity-80 text-[#00FF41] transition-opacity disabled:cursor-not-allowed"><RefreshCw size={10}/></button>
     </div>
   );
@@ -195,177 +161,446 @@ function ErrorBanner({message,onRetry}) {
   );
 }
 
-function VaultCard({vault,selected,onClick}) {
-  var borderColor = vault.institutional ? '#A855F7' : vault.borderColor;
-  function ApyBadge() {
-    if (!vault.live&&vault.apy===null&&!vault.institutional&&!vault.pending)
-      return <div className="h-6 w-14 bg-[rgba(0,255,65,0.08)] animate-pulse ml-auto"/>;
-    if (vault.apy!==null)
-      return (<div><div className="font-black text-xl font-mono" style={{color:borderColor}}>{vault.apy.toFixed(2)}%</div><div className="text-[10px] opacity-30 font-mono text-[#00FF41]">7d APY</div></div>);
-    if (vault.institutional)
-      return (
-        <div className="text-right">
-          <div className="font-mono text-[11px] font-black px-2 py-0.5 border tracking-widest" style={{color:'#A855F7',borderColor:'rgba(168,85,247,0.5)',background:'rgba(168,85,247,0.08)',textShadow:'0 0 10px rgba(168,85,247,0.8)'}}>INSTITUTIONAL</div>
-          <div className="text-[9px] font-mono mt-0.5" style={{color:'rgba(168,85,247,0.6)'}}>$400M+ TVL</div>
-        </div>
-      );
-    if (vault.pending)
-      return (
-        <div className="text-right">
-          <div className="font-mono text-[10px] font-bold px-2 py-0.5 border tracking-widest animate-pulse" style={{color:'#00FF41',borderColor:'rgba(0,255,65,0.4)',background:'rgba(0,255,65,0.06)'}}>PENDING</div>
-          <div className="text-[9px] opacity-40 font-mono text-[#00FF41] mt-0.5">COMING SOON</div>
-        </div>
-      );
-    return <div className="font-mono text-sm opacity-25 text-[#00FF41]">N/A</div>;
+function AddVaultForm({onAdd,defaultChain}) {
+  var [addr,setAddr]     = useState('');
+  var [chainId,setChainId] = useState(defaultChain);
+  var [busy,setBusy]     = useState(false);
+  var [err,setErr]       = useState(null);
+  useEffect(function(){ setChainId(defaultChain); },[defaultChain]);
+  async function submit(e) {
+    e.preventDefault();
+    if (busy||!addr) return;
+    setBusy(true); setErr(null);
+    try { await onAdd(addr, chainId); setAddr(''); }
+    catch(ex) { setErr(ex.message); }
+    finally { setBusy(false); }
   }
   return (
-    <div className={'vault-card p-4 cursor-pointer '+(selected?'selected':'')} style={{borderColor:selected?borderColor:'rgba(0,255,65,0.2)'}} onClick={onClick}>
-      <div className="flex items-start justify-between mb-1">
-        <div>
-          <span className="font-mono font-black text-lg tracking-wider" style={{color:borderColor}}>{vault.displayName}</span>
-          <span className="font-mono text-xs opacity-40 ml-2 text-[#00FF41]">{vault.subtitle}</span>
-        </div>
-        <div className="text-right min-w-[80px]"><ApyBadge/></div>
-      </div>
-      <p className="font-mono text-xs opacity-35 text-[#00FF41] mb-2">{vault.description}</p>
-      {vault.institutional&&(<div className="mb-2 px-2 py-1.5 font-mono text-[10px] border-l-2" style={{borderColor:'#A855F7',background:'rgba(168,85,247,0.06)',color:'#A855F7',opacity:0.8}}>⬡ Assets held by regulated custodian (BitGo Trust). NAV synced on-chain daily. On-chain APY read not available — TVL managed off-chain.</div>)}
-      {vault.pending&&(<div className="mb-2 px-2 py-1.5 font-mono text-[10px] border-l-2" style={{borderColor:'#00FF41',background:'rgba(0,255,65,0.04)',color:'#00FF41',opacity:0.6}}>⧖ Vault deployed. Awaiting activation. Live data will appear once strategies go live.</div>)}
-      <div className="flex flex-wrap gap-3 text-xs font-mono opacity-40 text-[#00FF41]">
-        <span>RISK: <span style={{color:borderColor}}>{vault.risk}</span></span>
-        {!vault.institutional&&!vault.pending&&<span>TVL: {vault.tvl||'...'}</span>}
-        {vault.institutional&&<span style={{color:'#A855F7'}}>TVL: $400M+</span>}
-        {vault.pending&&<span>TVL: PENDING</span>}
+    <form onSubmit={submit} className="mt-3">
+      <div className="flex gap-2">
+        <select value={chainId} onChange={function(e){setChainId(Number(e.target.value));}} className="px-1 py-1.5 text-xs font-mono bg-black text-[#00FF41] border-2 border-[rgba(0,255,65,0.3)]">
+          {Object.keys(CHAINS).map(function(id){return <option key={id} value={id}>{CHAINS[id].short}</option>;})}
+        </select>
+        <input type="text" value={addr} onChange={function(e){setAddr(e.target.value);}} placeholder="PASTE ERC-4626 ADDRESS 0x…" className="flex-1 px-2 py-1.5 text-xs font-mono min-w-0" spellCheck={false}/>
+        <button type="submit" disabled={busy||!addr} className="px-3 font-mono text-xs border-2 border-[#00FF41] text-[#00FF41] opacity-60 hover:opacity-100 disabled:opacity-20 disabled:cursor-not-allowed">{busy?'…':'+ ADD'}</button>
       </div>
-      <div className="mt-2 font-mono text-[10px] opacity-15 text-[#00FF41] truncate">{vault.address}</div>
-    </div>
+      {err&&<div className="mt-1 font-mono text-[10px] text-[#FF3131] opacity-70">{err}</div>}
+    </form>
   );
 }
 
-function InputSection({principal,setPrincipal,selectedVault,setSelectedVault,vaults,loading,error,lastFetched,onRefresh}) {
+var USD_PRESETS   = [1000,5000,10000,50000,100000];
+var ASSET_PRESETS = [1,10,100,1000,10000];
+
+function InputSection({principal,setPrincipal,unit,setUnit,selectedVault,setSelectedVault,vaults,loading,error,lastFetched,staleAt,provider,onRefresh,apyWindow,position,capacity,onAddVault,onRemoveVault,defaultChain}) {
   var [inputVal,setInputVal] = useState(String(principal));
-  var presets = [1000,5000,10000,50000,100000];
+  var presets = unit==='usd' ? USD_PRESETS : ASSET_PRESETS;
+  var sym     = selectedVault&&selectedVault.assetSymbol ? selectedVault.assetSymbol : 'ASSET';
+  var price   = selectedVault ? selectedVault.priceUsd : null;
+  useEffect(function(){ if (parseFloat(inputVal)!==principal) setInputVal(String(principal)); },[principal]);
   function handleInput(e) {
     var raw = e.target.value.replace(/[^0-9.]/g,''); setInputVal(raw);
     var num = parseFloat(raw); if (!isNaN(num)&&num>0) setPrincipal(num);
   }
+  // Keep the same deposit when flipping units, if there is a price to convert with.
+  function switchUnit(next) {
+    if (next===unit) return;
+    if (price) setPrincipal(Number((next==='asset' ? principal/price : principal*price).toFixed(next==='asset'?6:2)));
+    setUnit(next);
+  }
+  var converted = unit==='usd'
+    ? (price ? '≈ '+formatAssetAmount(principal/price,sym) : 'NO USD PRICE FOR '+sym+' — ENTER '+sym+' UNITS')
+    : (price ? '≈ '+formatUSD(principal*price) : 'NO USD PRICE FOR '+sym);
   return (
     <div className="terminal-box p-5">
       <div className="flex items-center justify-between mb-4">
         <h2 className="text-[#00FF41] font-mono font-bold text-xl tracking-widest">DEPOSIT</h2>
-        <LiveBadge loading={loading} lastFetched={lastFetched} onRefresh={onRefresh}/>
+        <LiveBadge loading={loading} lastFetched={lastFetched} provider={provider} onRefresh={onRefresh} staleAt={staleAt}/>
       </div>
       {error&&<ErrorBanner message={error} onRetry={onRefresh}/>}
-      <div className="relative mb-3">
-        <span className="absolute left-3 top-1/2 -translate-y-1/2 text-[#00FF41] font-mono font-bold text-lg">$</span>
+      <div className="flex gap-1 mb-2">
+        {[['usd','USD'],['asset',sym]].map(function(u){return(
+          <button key={u[0]} onClick={function(){switchUnit(u[0]);}}
+            className={'px-2 py-0.5 font-mono text-xs border-2 transition-all '+(unit===u[0]?'bg-[#00FF41] text-black border-[#00FF41] font-bold':'bg-transparent text-[#00FF41] border-[#00FF41] opacity-35 hover:opacity-90')}>
+            {u[1]}
+          </button>
+        );})}
+      </div>
+      <div className="relative mb-1">
+        <span className="absolute left-3 top-1/2 -translate-y-1/2 text-[#00FF41] font-mono font-bold text-lg">{unit==='usd'?'$':'◆'}</span>
         <input type="number" value={inputVal} onChange={handleInput} placeholder="10000" className="w-full pl-8 pr-4 py-3 text-lg font-mono font-bold" min="0"/>
       </div>
+      <div className={'font-mono text-[10px] mb-3 '+(price?'opacity-35 text-[#00FF41]':'text-[#FFB800] opacity-70')}>{converted}</div>
+      {capacity&&capacity.warnings.length>0&&(
+        <div className={'mb-3 p-2 border font-mono text-[10px] space-y-0.5 '+(capacity.overCap||capacity.cap===0?'border-[#FF3131] text-[#FF3131]':'border-[#FFB800] text-[#FFB800]')}>
+          {capacity.warnings.map(function(w){return <div key={w}>⚠ {w}</div>;})}
+        </div>
+      )}
       <div className="flex flex-wrap gap-2 mb-5">
         {presets.map(function(p){return(
           <button key={p} onClick={function(){setInputVal(String(p));setPrincipal(p);}}
             className={'px-3 py-1 font-mono text-xs border-2 transition-all '+(principal===p?'bg-[#00FF41] text-black border-[#00FF41] font-bold':'bg-transparent text-[#00FF41] border-[#00FF41] opacity-35 hover:opacity-100')}>
-            {formatUSD(p)}
+            {unit==='usd'?formatUSD(p):p+' '+sym}
           </button>
         );})}
+        {position&&position.assetsFloat>0&&(
+          <button onClick={function(){setUnit('asset');setPrincipal(Number(position.assetsFloat.toFixed(6)));}}
+            className="px-3 py-1 font-mono text-xs border-2 border-[#A855F7] text-[#A855F7] opacity-60 hover:opacity-100 transition-all flex items-center gap-1">
+            <Wallet size={11}/> USE MY BALANCE
+          </button>
+        )}
+      </div>
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-[#00FF41] font-mono font-bold text-xl tracking-widest">SELECT VAULT</h2>
+        <ExportButtons name="concrete-yield-snapshot" disabled={!vaults.some(function(v){return v.live;})}
+          get={function(){var rows = vaults.map(snapshotRow); return {rows:rows, json:{exportedAt:new Date().toISOString(), vaults:rows}};}}/>
       </div>
-      <h2 className="text-[#00FF41] font-mono font-bold text-xl mb-3 tracking-widest">SELECT VAULT</h2>
       <div className="space-y-3">
+        {vaults.length===0&&<div className="font-mono text-xs opacity-35 text-[#00FF41]">No vaults on this chain yet — add one below.</div>}
         {vaults.map(function(vault){return(
-          <VaultCard key={vault.id} vault={vault} selected={selectedVault&&selectedVault.id===vault.id} onClick={function(){setSelectedVault(vault);}}/>
+          <VaultCard key={vault.id} vault={vault} selected={selectedVault&&selectedVault.id===vault.id} onClick={function(){setSelectedVault(vault);}} apyWindow={apyWindow} onRemove={vault.user?function(){onRemoveVault(vault.id);}:null}/>
         );})}
       </div>
+      <AddVaultForm onAdd={onAddVault} defaultChain={defaultChain}/>
     </div>
   );
 }
 
-function YieldLadder({principal,vault,selectedDays,setSelectedDays}) {
-  var apy  = vault&&vault.apy;
-  var bc   = vault&&vault.borderColor?vault.borderColor:'#00FF41';
-  var maxY = apy?calcYield(principal,apy,365):0;
+function PositionPanel({wallet,positions,loading,vaults,onSelect}) {
+  var held = vaults.filter(function(v){var p=positions[v.id];return p&&p.shares>0n;});
   return (
     <div className="terminal-box p-5">
-      <h2 className="text-[#00FF41] font-mono font-bold text-xl mb-4 tracking-widest">PROJECTION MATRIX</h2>
-      {vault&&!vault.live&&(
-        <div className="p-3 mb-4 border-2 border-[rgba(255,184,0,0.3)] flex items-center gap-2">
-          <RefreshCw size={11} className="text-[#FFB800] animate-spin"/>
-          <span className="font-mono text-xs text-[#FFB800]">Fetching live APY from Ethereum Mainnet...</span>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-[#00FF41] font-mono font-bold text-xl tracking-widest">POSITIONS</h2>
+        {wallet.account&&loading&&<RefreshCw size={10} className="animate-spin text-[#FFB800]"/>}
+      </div>
+      {!wallet.account?(
+        <div>
+          <button onClick={wallet.connect} disabled={!wallet.available}
+            className="vibe-btn w-full py-2 font-mono font-bold text-sm tracking-widest border-2 border-[#00FF41] text-[#00FF41] bg-transparent hover:bg-[rgba(0,255,65,0.05)] disabled:opacity-25 disabled:cursor-not-allowed flex items-center justify-center gap-2">
+            <Wallet size={13}/> {wallet.available?'CONNECT WALLET':'NO WALLET DETECTED'}
+          </button>
+          {wallet.error&&<div className="mt-2 font-mono text-xs text-[#FF3131] opacity-70">{wallet.error}</div>}
+        </div>
+      ):(
+        <div className="font-mono text-xs space-y-2">
+          <div className="flex justify-between">
+            <span className="opacity-35 text-[#00FF41]">ACCOUNT</span>
+            <span className="text-[#00FF41]">{shortAddress(wallet.account)}</span>
+          </div>
+          {wallet.chainId!==null&&(
+            <div className="flex justify-between">
+              <span className="opacity-35 text-[#00FF41]">WALLET CHAIN</span>
+              <span className="text-[#00FF41]">{chainLabel(wallet.chainId)}</span>
+            </div>
+          )}
+          {held.length===0&&!loading&&<div className="opacity-35 text-[#00FF41]">No vault shares held by this account.</div>}
+          {held.map(function(v){
+            var p = positions[v.id];
+            return(
+              <div key={v.id} className="p-2 border-2 border-[rgba(0,255,65,0.12)] cursor-pointer hover:border-[rgba(0,255,65,0.4)]" onClick={function(){onSelect(v);}}>
+                <div className="flex justify-between mb-1">
+                  <span className="font-bold" style={{color:v.institutional?'#A855F7':v.borderColor}}>{v.displayName} <span className="font-normal opacity-40 text-[#00FF41]">{CHAINS[v.chainId]?CHAINS[v.chainId].short:v.chainId}</span></span>
+                  <span className="text-[#00FF41]">{p.assetsFloat!==null?formatDual(p.assetsFloat,v):'—'}</span>
+                </div>
+                <div className="flex justify-between opacity-40 text-[#00FF41]"><span>SHARES</span><span>{p.sharesFloat.toFixed(4)}</span></div>
+                <div className="flex justify-between opacity-40 text-[#00FF41]"><span>MAX WITHDRAW</span><span>{p.maxWithdrawFloat!==null?formatAssetAmount(p.maxWithdrawFloat,v.assetSymbol):'—'}</span></div>
+                <div className="flex justify-between opacity-40 text-[#00FF41]"><span>MAX REDEEM</span><span>{p.maxRedeemFloat!==null?p.maxRedeemFloat.toFixed(4)+' shares':'—'}</span></div>
+              </div>
+            );
+          })}
+          <button onClick={wallet.disconnect} className="opacity-30 hover:opacity-80 text-[#00FF41] transition-opacity">[DISCONNECT]</button>
         </div>
       )}
-      <div className="flex gap-2 mb-5 flex-wrap">
-        {TIMEFRAMES.map(function(tf){return(
-          <button key={tf.label} onClick={function(){setSelectedDays(tf.days);}}
-            className={'px-3 py-1 font-mono text-sm border-2 transition-all '+(selectedDays===tf.days?'bg-[#00FF41] text-black border-[#00FF41] font-bold':'bg-transparent text-[#00FF41] border-[#00FF41] opacity-35 hover:opacity-90')}>
-            {tf.label}
-          </button>
-        );})}
+    </div>
+  );
+}
+
+function signedAmount(n, symbol) { return (n<0?'−':'+')+formatAssetAmount(Math.abs(n), symbol); }
+
+function FlowPanel({vault,state}) {
+  if (!vault||vault.pending) return null;
+  var f = state.flows, sym = vault.assetSymbol;
+  return (
+    <div className="terminal-box p-5 font-mono">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-[#00FF41] font-bold text-xl tracking-widest">FLOWS</h2>
+        {state.loading&&<RefreshCw size={10} className="animate-spin text-[#FFB800]"/>}
+      </div>
+      {state.error&&<div className="text-xs text-[#FF3131] opacity-70">Event index failed: {state.error}</div>}
+      {!f&&!state.error&&<div className="text-xs opacity-35 text-[#00FF41]">Indexing Deposit / Withdraw events…</div>}
+      {f&&(
+        <div className="text-xs space-y-4">
+          <div className="text-[10px] opacity-30 text-[#00FF41]">{vault.displayName} · {f.events} EVENTS · BLOCKS {f.fromBlock}–{f.toBlock} · {f.depositors} DEPOSITORS</div>
+          <table className="w-full text-[#00FF41]">
+            <thead><tr className="text-[10px] opacity-35 text-right"><th className="text-left font-normal"></th><th className="font-normal">IN</th><th className="font-normal">OUT</th><th className="font-normal">NET</th><th className="font-normal">DEPOSITORS</th></tr></thead>
+            <tbody>
+              {f.windows.map(function(w){return(
+                <tr key={w.days} className="text-right">
+                  <td className="text-left opacity-50">{windowLabel(w.days)}</td>
+                  <td className="opacity-60">{formatAssetAmount(w.inflow,sym)}</td>
+                  <td className="opacity-60">{formatAssetAmount(w.outflow,sym)}</td>
+                  <td className={w.net<0?'text-[#FF3131]':''}>{signedAmount(w.net,sym)}</td>
+                  <td className="opacity-60">{w.depositors}</td>
+                </tr>
+              );})}
+            </tbody>
+          </table>
+          <div>
+            <div className="text-[10px] opacity-35 text-[#00FF41] mb-1">TVL CHANGE = NET FLOWS + YIELD</div>
+            {f.windows.map(function(w){return(
+              <div key={w.days} className="flex justify-between text-[10px] text-[#00FF41]">
+                <span className="opacity-50">{windowLabel(w.days)}</span>
+                <span className="opacity-60">{w.tvlChange===null?'no TVL sample':signedAmount(w.tvlChange,sym)+' = '+signedAmount(w.net,sym)+' + '+signedAmount(w.yieldChange,sym)}</span>
+                <span className={w.apy!==null&&w.apy<0?'text-[#FF3131]':'text-[#FFB800]'}>{apyDisplay(w.apy)}</span>
+              </div>
+            );})}
+          </div>
+          {f.largest.length>0&&(
+            <div>
+              <div className="text-[10px] opacity-35 text-[#00FF41] mb-1">LARGEST MOVEMENTS · 30D</div>
+              {f.largest.map(function(e){return(
+                <div key={e.tx+e.account+e.block} className="flex justify-between text-[10px]">
+                  <span className={e.kind==='deposit'?'text-[#00FF41]':'text-[#FF3131]'}>{e.kind==='deposit'?'▲ IN ':'▼ OUT'} {formatDual(e.assets,vault)}</span>
+                  <span className="opacity-40 text-[#00FF41]">{shortAddress(e.account)} · {(e.approx?'~':'')+timeSince(e.at)}</span>
+                </div>
+              );})}
+            </div>
+          )}
+          {f.holders&&(
+            <div className="text-[10px] text-[#00FF41]">
+              <div className="opacity-35 mb-1">HOLDER CONCENTRATION</div>
+              <div className="flex justify-between"><span className="opacity-50">TOP 1 / TOP 10</span><span className={f.holders.top10>=50?'text-[#FFB800]':''}>{f.holders.top1.toFixed(1)}% / {f.holders.top10.toFixed(1)}% OF SUPPLY</span></div>
+              <div className="opacity-30 mt-1">{f.holders.read} accounts active in 30d hold {f.holders.seenPct.toFixed(1)}% of supply; holders who have not moved are not seen.</div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+var NOTIFY_LABEL = { granted:'ON', denied:'BLOCKED BY BROWSER', default:'OFF', unsupported:'NOT SUPPORTED' };
+
+function WatchlistPanel({vaults,watch}) {
+  var [vaultId,setVaultId] = useState('');
+  var [kind,setKind]       = useState(RULE_KINDS[0].kind);
+  var [value,setValue]     = useState('');
+  var byId = {};
+  vaults.forEach(function(v){ byId[v.id] = v; });
+  var target = vaultId||(vaults[0]&&vaults[0].id);
+  var needsValue = kind!=='price-down';
+  var valid = target&&(!needsValue||(value!==''&&isFinite(Number(value))&&Number(value)>=0));
+  function submit(e) {
+    e.preventDefault();
+    if (!valid) return;
+    watch.addRule(target, kind, needsValue?value:null); setValue('');
+  }
+  return (
+    <div className="terminal-box p-5">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-[#00FF41] font-mono font-bold text-xl tracking-widest">WATCHLIST</h2>
+        <span className="font-mono text-[10px] opacity-35 text-[#00FF41]">{watch.rules.length} RULE{watch.rules.length===1?'':'S'}</span>
+      </div>
+      <form onSubmit={submit} className="flex gap-2 mb-3 font-mono text-xs">
+        <select value={target||''} onChange={function(e){setVaultId(e.target.value);}} className="px-1 py-1.5 bg-black text-[#00FF41] border-2 border-[rgba(0,255,65,0.3)] min-w-0 flex-1">
+          {vaults.map(function(v){return <option key={v.id} value={v.id}>{(v.displayName||v.id)+' · '+getChain(v.chainId).short}</option>;})}
+        </select>
+        <select value={kind} onChange={function(e){setKind(e.target.value);}} className="px-1 py-1.5 bg-black text-[#00FF41] border-2 border-[rgba(0,255,65,0.3)]">
+          {RULE_KINDS.map(function(k){return <option key={k.kind} value={k.kind}>{k.label}</option>;})}
+        </select>
+        {needsValue&&<input type="number" min="0" step="any" value={value} onChange={function(e){setValue(e.target.value);}} placeholder="%" className="w-14 px-2 py-1.5"/>}
+        <button type="submit" disabled={!valid} className="px-2 border-2 border-[#00FF41] text-[#00FF41] opacity-60 hover:opacity-100 disabled:opacity-20 disabled:cursor-not-allowed">+</button>
+      </form>
+      <div className="font-mono text-[10px] opacity-35 text-[#00FF41] mb-3">
+        APY RULES USE THE 7D APY · MOVES / DROPS ARE % CHANGE SINCE THE LAST REFRESH
+      </div>
+      <div className="font-mono text-xs space-y-1 mb-4">
+        {watch.rules.map(function(r){
+          var v = byId[r.vaultId];
+          return(
+            <div key={r.id} className="flex justify-between gap-2 text-[#00FF41]">
+              <span><span className="font-bold" style={{color:v?v.borderColor:undefined}}>{v?v.displayName||v.id:r.vaultId}</span> <span className="opacity-60">{ruleLabel(r)}</span></span>
+              <button onClick={function(){watch.removeRule(r.id);}} className="opacity-30 hover:opacity-100 hover:text-[#FF3131]" title="Remove rule">×</button>
+            </div>
+          );
+        })}
+        {watch.rules.length===0&&<div className="opacity-25 text-[#00FF41]">No rules. Checked on every refresh (60s).</div>}
+      </div>
+      <div className="flex items-center justify-between mb-2 font-mono text-[10px] text-[#00FF41]">
+        <span className="opacity-35">NOTIFICATIONS · {NOTIFY_LABEL[watch.permission]||watch.permission}</span>
+        {watch.history.length>0&&<button onClick={watch.clearHistory} className="opacity-30 hover:opacity-80">[CLEAR HISTORY]</button>}
       </div>
-      <div className="grid grid-cols-2 gap-3 mb-5">
-        {[
-          {icon:<DollarSign size={13}/>,label:'PRINCIPAL',  value:formatUSD(principal),                                          color:'#00FF41'},
-          {icon:<Percent size={13}/>,   label:'LIVE APY',   value:apyDisplay(apy),                                               color:bc},
-          {icon:<TrendingUp size={13}/>,label:'GROSS YIELD',value:apy?formatUSD(calcYield(principal,apy,selectedDays)):'—',       color:bc},
-          {icon:<Activity size={13}/>,  label:'TOTAL VALUE',value:apy?formatUSD(calcTotal(principal,apy,selectedDays)):'—',       color:'#00FF41'},
-        ].map(function(s,i){return(
-          <div key={i} className="p-3 border-2 border-[rgba(0,255,65,0.12)]">
-            <div className="flex items-center gap-1 text-xs opacity-35 font-mono mb-1 text-[#00FF41]">{s.icon} {s.label}</div>
-            <div className="font-mono font-black text-lg" style={{color:s.color}}>{s.value}</div>
+      <div className="max-h-40 overflow-y-auto font-mono text-[10px] space-y-1">
+        {watch.history.map(function(a){return(
+          <div key={a.id} className="text-[#FFB800]">
+            <span className="opacity-40">{new Date(a.at).toISOString().slice(5,16).replace('T',' ')}</span> <span className="font-bold">{a.vault}</span> <span className="opacity-70">{a.text}</span>
           </div>
         );})}
       </div>
-      <div className="space-y-2 mb-4">
-        <div className="text-xs font-mono opacity-35 text-[#00FF41] mb-2">COMPOUNDING RUNGS</div>
-        {TIMEFRAMES.map(function(tf){
-          var y   = apy?calcYield(principal,apy,tf.days):0;
-          var pct = maxY>0?(y/maxY)*100:0;
+    </div>
+  );
+}
+
+var CAP_OPTIONS = [100,50,34,25];
+
+function PortfolioPanel({total,vaults,plan,setPlan,selectedDays,setSelectedDays,apyWindow,setApyWindow}) {
+  var [maxRisk,setMaxRisk] = useState('LOW');
+  var [maxPct,setMaxPct]   = useState(50);
+  var byId    = {}; vaults.forEach(function(v){ byId[v.id] = v; });
+  var alloc   = allocate(plan.values, total||0, plan.mode);
+  var blended = blendedApy(alloc.slices, byId, apyWindow);
+  var ladder  = portfolioLadder(alloc.slices, byId, apyWindow, TIMEFRAMES.map(function(t){return t.days;}));
+  var ranked  = rankByYield(vaults, apyWindow, total||0, selectedDays);
+  function setValue(id, raw) {
+    var values = Object.assign({}, plan.values);
+    var n = parseFloat(raw);
+    if (isNaN(n)||n<=0) delete values[id]; else values[id] = n;
+    setPlan({mode:plan.mode, values:values});
+  }
+  // Convert the current split when flipping between percent and amount so nothing moves.
+  function setMode(mode) {
+    if (mode===plan.mode) return;
+    var values = {};
+    alloc.slices.forEach(function(s){ values[s.id] = Number((mode==='pct' ? s.weight*100 : s.amount).toFixed(2)); });
+    setPlan({mode:mode, values:values});
+  }
+  function runOptimise() { setPlan({mode:'pct', values:optimise(vaults, apyWindow, maxRisk, maxPct)}); }
+  function toggle(active) { return 'px-2 py-0.5 font-mono text-xs border-2 transition-all '+(active?'bg-[#00FF41] text-black border-[#00FF41] font-bold':'bg-transparent text-[#00FF41] border-[#00FF41] opacity-35 hover:opacity-90'); }
+  return (
+    <div className="terminal-box p-5">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-[#00FF41] font-mono font-bold text-xl tracking-widest">PORTFOLIO</h2>
+        <div className="flex gap-1">
+          <button onClick={function(){setMode('pct');}} className={toggle(plan.mode==='pct')}>%</button>
+          <button onClick={function(){setMode('amount');}} className={toggle(plan.mode==='amount')}>$</button>
+        </div>
+      </div>
+      {total===null&&<div className="mb-3 font-mono text-xs text-[#FFB800] opacity-70">No USD price for the selected asset — enter the deposit in USD to allocate.</div>}
+      <div className="flex gap-2 mb-3 flex-wrap">
+        {TIMEFRAMES.map(function(tf){return <button key={tf.label} onClick={function(){setSelectedDays(tf.days);}} className={toggle(selectedDays===tf.days)}>{tf.label}</button>;})}
+      </div>
+      <div className="flex items-center gap-2 mb-4 flex-wrap">
+        <span className="font-mono text-xs opacity-35 text-[#00FF41] mr-1">APY WINDOW</span>
+        {APY_WINDOWS.map(function(w){return <button key={w.label} onClick={function(){setApyWindow(w.days);}} className={toggle(apyWindow===w.days)}>{w.label}</button>;})}
+      </div>
+      <div className="text-xs font-mono opacity-35 text-[#00FF41] mb-2">COMPARISON · {(TIMEFRAMES.find(function(t){return t.days===selectedDays;})||{label:selectedDays+'d'}).label} ON {formatUSD(total||0)}</div>
+      <div className="font-mono text-xs mb-4">
+        <div className="flex gap-2 opacity-30 text-[#00FF41] pb-1 border-b border-[rgba(0,255,65,0.12)]">
+          <span className="w-5">#</span><span className="flex-1">VAULT</span><span className="w-10">RISK</span><span className="w-14 text-right">APY</span><span className="w-16 text-right">YIELD</span><span className="w-16 text-right">{plan.mode==='pct'?'ALLOC %':'ALLOC $'}</span>
+        </div>
+        {ranked.map(function(r,i){
+          var v = r.vault;
           return(
-            <div key={tf.label} className="flex items-center gap-3 cursor-pointer" onClick={function(){setSelectedDays(tf.days);}}>
-              <span className="font-mono text-xs w-6 opacity-40 text-[#00FF41]">{tf.label}</span>
-              <div className="flex-1 progress-bar"><div className="progress-fill transition-all duration-700" style={{width:pct+'%',background:bc,boxShadow:'0 0 8px '+bc}}/></div>
-              <span className="font-mono text-xs w-20 text-right" style={{color:selectedDays===tf.days?bc:'rgba(0,255,65,0.4)'}}>{apy?formatUSD(y):'—'}</span>
+            <div key={v.id} className="flex gap-2 items-center py-1 text-[#00FF41]">
+              <span className="w-5 opacity-35">{r.yield===null?'–':i+1}</span>
+              <span className="flex-1 truncate" style={{color:v.institutional?'#A855F7':v.borderColor}}>{v.displayName}</span>
+              <span className="w-10 opacity-50">{v.risk}</span>
+              <span className="w-14 text-right">{apyDisplay(r.apy)}</span>
+              <span className="w-16 text-right opacity-70">{r.yield===null?'—':formatUSD(r.yield)}</span>
+              <input type="number" min="0" value={plan.values[v.id]===undefined?'':plan.values[v.id]} onChange={function(e){setValue(v.id,e.target.value);}} className="w-16 px-1 py-0.5 text-xs font-mono text-right" placeholder="0"/>
             </div>
           );
         })}
       </div>
-      <div className="p-3 border-l-4 font-mono text-xs" style={{borderColor:bc}}>
-        <div className="opacity-40 text-[#00FF41] mb-1">DAILY DRIP</div>
-        <span className="text-lg font-black" style={{color:bc}}>{apy?formatUSD(calcYield(principal,apy,1)):'—'}</span>
-        <span className="opacity-35 text-[#00FF41]"> / day</span>
+      <div className="flex flex-wrap items-center gap-2 mb-4 font-mono text-xs">
+        <span className="opacity-35 text-[#00FF41]">MAX RISK</span>
+        {RISK_LEVELS.map(function(r){return <button key={r} onClick={function(){setMaxRisk(r);}} className={toggle(maxRisk===r)}>{r}</button>;})}
+        <span className="opacity-35 text-[#00FF41] ml-2">MAX/VAULT</span>
+        {CAP_OPTIONS.map(function(c){return <button key={c} onClick={function(){setMaxPct(c);}} className={toggle(maxPct===c)}>{c}%</button>;})}
+        <button onClick={runOptimise} className="px-3 py-0.5 font-mono text-xs border-2 border-[#FFB800] text-[#FFB800] opacity-70 hover:opacity-100">OPTIMISE</button>
       </div>
+      <div className="grid grid-cols-2 gap-3 mb-4">
+        <div className="p-3 border-2 border-[rgba(0,255,65,0.12)]">
+          <div className="text-xs opacity-35 font-mono mb-1 text-[#00FF41]">BLENDED {windowLabel(apyWindow)} APY</div>
+          <div className="font-mono font-black text-lg text-[#00FF41]">{apyDisplay(blended)}</div>
+        </div>
+        <div className="p-3 border-2 border-[rgba(0,255,65,0.12)]">
+          <div className="text-xs opacity-35 font-mono mb-1 text-[#00FF41]">{alloc.unallocated<-0.005?'OVER-ALLOCATED':'UNALLOCATED'}</div>
+          <div className={'font-mono font-black text-lg '+(Math.abs(alloc.unallocated)>0.005?'text-[#FFB800]':'text-[#00FF41]')}>{formatUSD(Math.abs(alloc.unallocated))}</div>
+        </div>
+      </div>
+      {ladder.rows.length>0&&(
+        <div className="font-mono text-[10px]">
+          <div className="text-xs opacity-35 text-[#00FF41] mb-2">COMPOUNDING LADDER</div>
+          <div className="flex gap-1 opacity-30 text-[#00FF41] pb-1 border-b border-[rgba(0,255,65,0.12)]">
+            <span className="flex-1">VAULT</span>
+            {TIMEFRAMES.map(function(tf){return <span key={tf.label} className="w-12 text-right">{tf.label}</span>;})}
+          </div>
+          {ladder.rows.map(function(r){return(
+            <div key={r.id} className="flex gap-1 py-0.5 text-[#00FF41] opacity-70">
+              <span className="flex-1 truncate">{byId[r.id].displayName}</span>
+              {TIMEFRAMES.map(function(tf){return <span key={tf.label} className="w-12 text-right">{formatUSD(r.yields[tf.days])}</span>;})}
+            </div>
+          );})}
+          <div className="flex gap-1 pt-1 border-t border-[rgba(0,255,65,0.12)] text-[#00FF41] font-bold">
+            <span className="flex-1">COMBINED</span>
+            {TIMEFRAMES.map(function(tf){return <span key={tf.label} className={'w-12 text-right '+(selectedDays===tf.days?'':'opacity-60')}>{formatUSD(ladder.combined[tf.days])}</span>;})}
+          </div>
+        </div>
+      )}
     </div>
   );
 }
 
-function ProjectionFeed({principal,vault,selectedDays}) {
-  var [logs,setLogs]           = useState([]);
-  var [visibleCount,setVisible] = useState(0);
+function ProjectionFeed({amount,monthly,costs,capacity,vault,selectedDays,apyWindow,portfolio,alerts,controls}) {
+  var [lines,setLines]         = useState([]);
   var [isRunning,setIsRunning] = useState(false);
+  var [input,setInput]         = useState('');
+  var [typed,setTyped]         = useState([]);
   var feedRef  = useRef(null);
   var timerRef = useRef(null);
+  var typedAt  = useRef(0); // Position while stepping through `typed` with the arrow keys; typed.length is the blank prompt.
+  function append(more) { setLines(function(l){return l.concat(more);}); }
   var runSimulation = useCallback(function() {
-    if (isRunning) return;
-    setIsRunning(true); setVisible(0);
-    var newLogs = generateLog(principal,vault,selectedDays);
-    setLogs(newLogs);
+    if (isRunning||(!vault&&!portfolio)) return;
+    setIsRunning(true);
+    var newLogs = portfolio
+      ? generatePortfolioLog(portfolio.total,portfolio.plan,portfolio.vaults,selectedDays,apyWindow)
+      : generateLog(amount,vault,selectedDays,apyWindow,{monthly:monthly,costs:costs,capacity:capacity});
     var i=0;
     timerRef.current = setInterval(function(){
-      i++; setVisible(i);
+      append([newLogs[i++]]);
       if (i>=newLogs.length){clearInterval(timerRef.current);setIsRunning(false);}
     },70);
-  },[isRunning,principal,vault,selectedDays]);
+  },[isRunning,amount,monthly,costs,capacity,vault,selectedDays,apyWindow,portfolio]);
   useEffect(function(){return function(){clearInterval(timerRef.current);};},[]);
-  useEffect(function(){if(feedRef.current)feedRef.current.scrollTop=feedRef.current.scrollHeight;},[visibleCount]);
-  function typeColor(t){var map={sys:'opacity-25 text-[#00FF41]',ok:'text-[#00FF41]',info:'opacity-55 text-[#00FF41]',yield:'text-[#FFB800]',result:'font-bold text-[#00FF41]',warn:'text-[#FFB800] opacity-60',error:'text-[#FF3131]'};return map[t]||'text-[#00FF41]';}
-  function typePrefix(t){var map={sys:'//',ok:'✓ ',info:'→ ',yield:'◆ ',result:'▶ ',warn:'⚠ ',error:'✗ '};return map[t]||'  ';}
+  // Watchlist alerts land in the stream as they fire.
+  useEffect(function(){ if (alerts.length) append(alerts.map(alertLogLine)); },[alerts]);
+  useEffect(function(){if(feedRef.current)feedRef.current.scrollTop=feedRef.current.scrollHeight;},[lines.length]);
+  async function submit(e) {
+    e.preventDefault();
+    if (!input.trim()) return;
+    var next = typed.concat([input.trim()]);
+    setTyped(next); typedAt.current = next.length; setInput('');
+    append(await runCommand(input, Object.assign({}, controls, {
+      vault:vault, monthly:monthly, days:selectedDays, apyWindow:apyWindow, costs:costs,
+      run:runSimulation, clear:function(){ clearInterval(timerRef.current); setIsRunning(false); setLines([]); },
+    })));
+  }
+  function onKey(e) {
+    if (e.key!=='ArrowUp'&&e.key!=='ArrowDown') return;
+    e.preventDefault();
+    var at = Math.max(0, Math.min(typed.length, typedAt.current+(e.key==='ArrowUp'?-1:1)));
+    typedAt.current = at;
+    setInput(at<typed.length ? typed[at] : '');
+  }
+  function typeColor(t){var map={sys:'opacity-25 text-[#00FF41]',ok:'text-[#00FF41]',info:'opacity-55 text-[#00FF41]',yield:'text-[#FFB800]',result:'font-bold text-[#00FF41]',warn:'text-[#FFB800] opacity-60',error:'text-[#FF3131]',cmd:'text-[#00FF41] opacity-80'};return map[t]||'text-[#00FF41]';}
+  function typePrefix(t){return LOG_PREFIX[t]||'  ';}
   return (
     <div className="terminal-box p-5">
       <div className="flex items-center justify-between mb-4">
         <h2 className="text-[#00FF41] font-mono font-bold text-xl tracking-widest">SIMULATION LOG</h2>
-        {isRunning&&<span className="text-xs font-mono text-[#FFB800] animate-pulse">● RUNNING</span>}
+        {isRunning?<span className="text-xs font-mono text-[#FFB800] animate-pulse">● RUNNING</span>:(
+          <ExportButtons name={'concrete-yield-log-'+(portfolio?'portfolio':vault?vault.id:'none')+'-'+selectedDays+'d'} disabled={lines.length===0}
+            get={function(){return {rows:lines, json:{exportedAt:new Date().toISOString(), url:window.location.href, lines:lines}};}}/>
+        )}
       </div>
-      <div ref={feedRef} className="bg-black bg-opacity-60 p-4 h-64 overflow-y-auto font-mono text-xs space-y-0.5 mb-4" style={{border:'2px solid rgba(0,255,65,0.12)'}}>
-        {logs.length===0?(
-          <div className="opacity-20 text-[#00FF41]">{'// AWAITING SIMULATION INPUT...'}<br/>{'// CLICK [RUN SIMULATION] TO BEGIN'}<br/><br/>{'// APY is fetched live from Ethereum Mainnet'}<br/>{'// via 7-day rolling share-price comparison'}</div>
+      <div ref={feedRef} className="bg-black bg-opacity-60 p-4 h-64 overflow-y-auto font-mono text-xs space-y-0.5" style={{border:'2px solid rgba(0,255,65,0.12)',borderBottom:'none'}}>
+        {lines.length===0?(
+          <div className="opacity-20 text-[#00FF41]">{'// AWAITING SIMULATION INPUT...'}<br/>{'// CLICK [RUN SIMULATION] OR TYPE help BELOW'}<br/><br/>{'// APY is fetched live from each vault\'s own chain'}<br/>{'// via rolling share-price comparison (24h/7d/30d/90d)'}</div>
         ):(
-          logs.slice(0,visibleCount).map(function(line,i){return(
+          lines.map(function(line,i){return(
             <div key={i} className={'log-line leading-relaxed '+typeColor(line.type)}>
               <span className="opacity-20">{line.ts} </span>
               <span className="opacity-35">{typePrefix(line.type)}</span>
@@ -375,6 +610,11 @@ function ProjectionFeed({principal,vault,selectedDays}) {
         )}
         {isRunning&&<div className="text-[#00FF41] opacity-50"><span className="animate-blink">█</span></div>}
       </div>
+      <form onSubmit={submit} className="flex items-center gap-2 bg-black bg-opacity-60 px-4 py-2 mb-4 font-mono text-xs text-[#00FF41]" style={{border:'2px solid rgba(0,255,65,0.12)'}}>
+        <span className="opacity-50">{LOG_PREFIX.cmd}</span>
+        <input value={input} onChange={function(e){setInput(e.target.value);}} onKeyDown={onKey} placeholder="type help" spellCheck={false} autoComplete="off"
+          className="flex-1 bg-transparent border-none outline-none text-[#00FF41] placeholder-[rgba(0,255,65,0.2)]"/>
+      </form>
       <button onClick={runSimulation} disabled={isRunning} className="vibe-btn w-full py-3 font-mono font-black text-sm tracking-widest border-4 border-[#00FF41] text-[#00FF41] bg-transparent hover:bg-[rgba(0,255,65,0.05)] transition-all disabled:opacity-25 disabled:cursor-not-allowed">
         {isRunning?'// SIMULATING...':'▶  RUN SIMULATION'}
       </button>
@@ -382,65 +622,278 @@ function ProjectionFeed({principal,vault,selectedDays}) {
   );
 }
 
-function VibeButton({principal,vault,selectedDays}) {
-  var [status,setStatus] = useState('idle');
-  var apy           = vault&&vault.apy;
-  var expectedYield = apy?calcYield(principal,apy,selectedDays):null;
+var TX_ICON  = { idle:'○', signing:'⟳', pending:'⟳', confirmed:'✓', failed:'✗', skipped:'–' };
+var TX_COLOR = { idle:'opacity-15 text-[#00FF41]', signing:'text-[#FFB800] animate-pulse', pending:'text-[#FFB800] animate-pulse', confirmed:'text-[#00FF41]', failed:'text-[#FF3131]', skipped:'opacity-25 text-[#00FF41]' };
+var REDEEM_PCTS = [25,50,100];
+
+function TxHash({hash,chainId}) {
+  if (!hash) return null;
+  return <a href={explorerTx(chainId,hash)} target="_blank" rel="noopener noreferrer" className="underline opacity-60 hover:opacity-100">{hash.slice(0,10)}…</a>;
+}
+
+function TransactionPanel({amount,costs,vault,selectedDays,apyWindow,wallet,position,onDone}) {
+  var [mode,setMode]           = useState('deposit');
+  var [redeemPct,setRedeemPct] = useState(100);
+  var [preview,setPreview]     = useState(null);
+  var [previewErr,setPreviewErr] = useState(null);
+  var [steps,setSteps]         = useState({reset:{state:'idle'},approve:{state:'idle'},main:{state:'idle'}});
+  var [result,setResult]       = useState(null);
+  var [busy,setBusy]           = useState(false);
+  var apy           = apyFor(vault, apyWindow);
+  var expectedYield = apy!==null&&amount!==null?project({amount:amount,apy:apy,days:selectedDays,costs:costInputs(vault,costs)}).yield:null;
   var tf            = TIMEFRAMES.find(function(t){return t.days===selectedDays;});
   var bc            = vault&&vault.borderColor?vault.borderColor:'#00FF41';
-  function handleEngage(){if(status==='engaged')return;setStatus('loading');setTimeout(function(){setStatus('engaged');},2200);}
+  var redeemShares  = position&&position.maxRedeem ? position.maxRedeem*BigInt(redeemPct)/100n : 0n;
+
+  useEffect(function() {
+    if (!vault||busy||vault.assetDecimals===undefined) return;
+    var cancelled = false;
+    setPreview(null); setPreviewErr(null);
+    var t = setTimeout(function() {
+      Promise.resolve().then(function() {
+        if (mode==='deposit') {
+          if (amount===null) throw new Error('No USD price for '+vault.assetSymbol+' — enter the deposit in '+vault.assetSymbol);
+          return previewDeposit(vault, parseUnits(amount, vault.assetDecimals), wallet.account);
+        }
+        if (redeemShares>0n) return previewRedeem(vault, redeemShares);
+        throw new Error('No redeemable shares');
+      }).then(function(p){ if (!cancelled) setPreview(p); })
+        .catch(function(e){ if (!cancelled) setPreviewErr(e.message); });
+    }, 400);
+    return function(){ cancelled = true; clearTimeout(t); };
+  }, [mode, amount, vault&&vault.id, vault&&vault.assetDecimals, wallet.account, redeemShares, busy]);
+
+  function setStep(key) { return function(u){ setSteps(function(s){ var n = Object.assign({},s); n[key] = u; return n; }); }; }
+
+  async function execute() {
+    if (busy||!preview||!wallet.account) return;
+    setBusy(true); setResult(null);
+    var approvals = mode==='deposit' ? approvalTxs(preview, vault.address, vault.chainId) : [];
+    function planned(step) { return {state:approvals.some(function(a){return a.step===step;})?'idle':'skipped'}; }
+    setSteps({reset:planned('reset'),approve:planned('approve'),main:{state:'idle'}});
+    try {
+      var receipt;
+      if (mode==='deposit') {
+        for (var i=0;i<approvals.length;i++) await sendAndWait(wallet.account, approvals[i].tx, setStep(approvals[i].step));
+        receipt = await sendAndWait(wallet.account, buildDeposit(vault, preview.assets, wallet.account), setStep('main'));
+      } else {
+        receipt = await sendAndWait(wallet.account, buildRedeem(vault, preview.shares, wallet.account, wallet.account), setStep('main'));
+      }
+      setResult(readVaultEvent(receipt, vault) || {blockNumber:parseInt(receipt.blockNumber,16), hash:receipt.transactionHash});
+      if (onDone) onDone();
+    } catch(e) {
+      console.warn('Transaction failed:', e.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  var wrongChain = !!(wallet.account&&vault&&wallet.chainId!==null&&wallet.chainId!==vault.chainId);
+  var blocked    = !wallet.account ? 'CONNECT A WALLET TO EXECUTE' : null;
+  var decimals   = vault?vault.assetDecimals:18;
+  var shareDec   = vault&&vault.shareDecimals!==undefined?vault.shareDecimals:decimals;
+  var sym        = vault?vault.assetSymbol:'';
+  var previewRows = !preview ? [] : mode==='deposit'
+    ? [['SHARES RECEIVED',toFloat(preview.shares,shareDec).toFixed(4)],['ENTRY COST',preview.costPct.toFixed(4)+'%'],['APPROVAL',preview.allowance===null?'—':preview.needsReset?'RESET + APPROVE':preview.needsApproval?'REQUIRED':'OK']]
+    : [['SHARES IN',toFloat(preview.shares,shareDec).toFixed(4)],['ASSETS OUT',formatAssetAmount(toFloat(preview.assets,decimals),sym)],['EXIT COST',preview.costPct.toFixed(4)+'%']];
+  var stepRows = [['PREVIEW',{state:preview?'confirmed':previewErr?'failed':'pending'}]];
+  // The reset row shows while a partial allowance needs it, and stays once it has been sent.
+  if (mode==='deposit'&&(preview&&preview.needsReset||['idle','skipped'].indexOf(steps.reset.state)<0)) stepRows.push(['RESET '+sym+' ALLOWANCE TO 0',steps.reset]);
+  if (mode==='deposit') stepRows.push(['APPROVE '+sym,steps.approve]);
+  stepRows.push([mode==='deposit'?'DEPOSIT':'REDEEM',steps.main]);
+
   return (
     <div className="terminal-box p-5">
-      <h2 className="text-[#00FF41] font-mono font-bold text-xl mb-4 tracking-widest">ENGAGE PROTECTION</h2>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-[#00FF41] font-mono font-bold text-xl tracking-widest">EXECUTE</h2>
+        <div className="flex gap-1">
+          {['deposit','redeem'].map(function(m){return(
+            <button key={m} onClick={function(){if(!busy)setMode(m);}}
+              className={'px-2 py-0.5 font-mono text-xs border-2 transition-all '+(mode===m?'bg-[#00FF41] text-black border-[#00FF41] font-bold':'bg-transparent text-[#00FF41] border-[#00FF41] opacity-35 hover:opacity-90')}>
+              {m.toUpperCase()}
+            </button>
+          );})}
+        </div>
+      </div>
       <div className="p-4 mb-4 bg-[rgba(0,255,65,0.025)] border-2 border-[rgba(0,255,65,0.1)] font-mono text-xs space-y-1.5">
-        {[['VAULT',vault&&vault.displayName,bc],['LIVE APY',apyDisplay(apy),bc],['DEPOSIT',formatUSD(principal),'#00FF41'],['HORIZON',tf?tf.label:selectedDays+'d','#00FF41']].map(function(row,i){return(
+        {[['VAULT',vault&&vault.displayName,bc],[windowLabel(apyWindow)+' APY',apyDisplay(apy),bc],
+          mode==='deposit'?['DEPOSIT',formatDual(amount,vault),'#00FF41']:['POSITION',position&&position.assetsFloat!==null?formatDual(position.assetsFloat,vault):'—','#00FF41'],
+          ['HORIZON',tf?tf.label:selectedDays+'d','#00FF41']].map(function(row,i){return(
           <div key={i} className="flex justify-between"><span className="opacity-35 text-[#00FF41]">{row[0]}</span><span style={{color:row[2]}}>{row[1]}</span></div>
         );})}
-        <div className="flex justify-between border-t border-[rgba(0,255,65,0.1)] pt-1.5">
-          <span className="opacity-35 text-[#00FF41]">EXPECTED YIELD</span>
-          <span className="font-black" style={{color:bc}}>{expectedYield!==null?formatUSD(expectedYield):'—'}</span>
-        </div>
+        {mode==='deposit'&&(
+          <div className="flex justify-between border-t border-[rgba(0,255,65,0.1)] pt-1.5">
+            <span className="opacity-35 text-[#00FF41]">EXPECTED NET YIELD</span>
+            <span className="font-black" style={{color:bc}}>{formatDual(expectedYield,vault)}</span>
+          </div>
+        )}
+        {mode==='redeem'&&(
+          <div className="flex justify-between border-t border-[rgba(0,255,65,0.1)] pt-1.5">
+            <span className="opacity-35 text-[#00FF41]">REDEEM</span>
+            <span className="flex gap-1">
+              {REDEEM_PCTS.map(function(p){return <button key={p} onClick={function(){if(!busy)setRedeemPct(p);}} className={redeemPct===p?'font-bold text-[#00FF41]':'opacity-35 text-[#00FF41] hover:opacity-90'}>{p}%</button>;})}
+            </span>
+          </div>
+        )}
+        {previewRows.map(function(row,i){return(
+          <div key={'p'+i} className="flex justify-between"><span className="opacity-35 text-[#00FF41]">{row[0]}</span><span style={{color:bc}}>{row[1]}</span></div>
+        );})}
+        {previewErr&&<div className="text-[#FF3131] opacity-70">PREVIEW FAILED: {previewErr}</div>}
       </div>
       <div className="space-y-2 mb-5">
-        {[['SLIPPAGE GUARD (±0.5%)',ShieldCheck],['IL HEDGE PROTOCOL',Lock],['AUTO-REBALANCE TRIGGER',Zap],['EXIT CIRCUIT BREAKER',Activity]].map(function(item,i){
-          var Icon=item[1]; var engaged=status==='engaged';
+        {stepRows.map(function(row,i){
+          var st = row[1];
           return(
             <div key={i} className="flex items-center gap-2 font-mono text-xs">
-              <span className={engaged?'text-[#00FF41]':'opacity-15 text-[#00FF41]'}>{engaged?'✓':'○'}</span>
-              <span className={'text-[#00FF41] '+(engaged?'opacity-60':'opacity-15')}><Icon size={13}/></span>
-              <span className={'text-[#00FF41] '+(engaged?'opacity-55':'opacity-15')}>{item[0]}</span>
+              <span className={TX_COLOR[st.state]}>{TX_ICON[st.state]}</span>
+              <span className={'flex-1 '+(st.state==='idle'?'opacity-25 text-[#00FF41]':TX_COLOR[st.state])}>{row[0]}{st.state==='signing'&&' · CONFIRM IN WALLET'}{st.state==='pending'&&st.hash&&' · PENDING'}</span>
+              <span className="text-[#00FF41]"><TxHash hash={st.hash} chainId={vault&&vault.chainId}/></span>
             </div>
           );
         })}
+        {steps.main.error&&<div className="font-mono text-xs text-[#FF3131] opacity-70 break-all">{steps.main.error}</div>}
+        {steps.reset.error&&<div className="font-mono text-xs text-[#FF3131] opacity-70 break-all">{steps.reset.error}</div>}
+        {steps.approve.error&&<div className="font-mono text-xs text-[#FF3131] opacity-70 break-all">{steps.approve.error}</div>}
+        {wrongChain&&wallet.error&&<div className="font-mono text-xs text-[#FF3131] opacity-70 break-all">{wallet.error}</div>}
       </div>
-      <button onClick={handleEngage} disabled={status==='loading'||status==='engaged'}
-        className={'vibe-btn w-full py-4 font-mono font-black text-base tracking-widest border-4 transition-all '+(
-          status==='engaged'?'border-[#00FF41] bg-[#00FF41] text-black cursor-default':
-          status==='loading'?'border-[#FFB800] text-[#FFB800] bg-transparent animate-pulse cursor-wait':
-                             'border-[#00FF41] text-[#00FF41] bg-transparent hover:bg-[rgba(0,255,65,0.05)]')}>
-        {status==='engaged'&&'✓  PROTECTION ACTIVE'}
-        {status==='loading'&&'⟳  ENGAGING...'}
-        {status==='idle'   &&'⬡  ENGAGE PROTECTION'}
+      <button onClick={wrongChain?function(){wallet.switchTo(vault.chainId);}:execute} disabled={busy||!!blocked||(!wrongChain&&!preview)}
+        className={'vibe-btn w-full py-4 font-mono font-black text-base tracking-widest border-4 transition-all disabled:cursor-not-allowed '+(
+          busy?'border-[#FFB800] text-[#FFB800] bg-transparent animate-pulse cursor-wait':
+               'border-[#00FF41] text-[#00FF41] bg-transparent hover:bg-[rgba(0,255,65,0.05)] disabled:opacity-25')}>
+        {busy?'⟳  AWAITING CHAIN...':blocked||(wrongChain?'⇄  SWITCH WALLET TO '+getChain(vault.chainId).name.toUpperCase():'⬡  '+(mode==='deposit'?'DEPOSIT':'REDEEM')+' '+(vault?vault.displayName:''))}
       </button>
-      {status==='engaged'&&<div className="mt-2 text-center font-mono text-xs text-[#00FF41] opacity-35 animate-pulse">ALL SYSTEMS NOMINAL · MONITORING ACTIVE</div>}
+      {result&&(
+        <div className="mt-3 p-3 border-l-4 border-[#00FF41] font-mono text-xs space-y-1 text-[#00FF41]">
+          <div className="flex justify-between"><span className="opacity-35">TX</span><TxHash hash={result.hash} chainId={vault&&vault.chainId}/></div>
+          <div className="flex justify-between"><span className="opacity-35">BLOCK</span><span>{result.blockNumber}</span></div>
+          {result.shares!==undefined&&<div className="flex justify-between"><span className="opacity-35">{result.kind==='deposit'?'SHARES MINTED':'SHARES BURNED'}</span><span>{toFloat(result.shares,shareDec).toFixed(4)}</span></div>}
+          {result.assets!==undefined&&<div className="flex justify-between"><span className="opacity-35">{result.kind==='deposit'?'ASSETS IN':'ASSETS OUT'}</span><span>{formatAssetAmount(toFloat(result.assets,decimals),sym)}</span></div>}
+        </div>
+      )}
       <div className="mt-4 p-3 border-l-4 border-[#FF3131] font-mono text-xs text-[#FF3131] opacity-45">⚠ NOT FINANCIAL ADVICE. DEFI CARRIES RISK OF TOTAL LOSS. DYOR.</div>
     </div>
   );
 }
 
+// Per-chain rollup for the stats bar: live count and mean APY over `apyWindow` of that chain's live vaults.
+function chainStats(vaults, apyWindow) {
+  return chainsOf(vaults).map(function(id) {
+    var onChain = vaults.filter(function(v){return v.chainId===id;});
+    var live    = onChain.filter(function(v){return v.live&&apyFor(v,apyWindow)!==null;});
+    return {
+      id:id, short:CHAINS[id]?CHAINS[id].short:String(id), total:onChain.length,
+      live:onChain.filter(function(v){return v.live;}).length,
+      avgApy:live.length?live.reduce(function(s,v){return s+apyFor(v,apyWindow);},0)/live.length:null,
+    };
+  });
+}
+
+function ChainSwitcher({value,onChange,vaults}) {
+  var options = [{id:'all',short:'ALL',count:vaults.length}].concat(Object.keys(CHAINS).map(function(id) {
+    return {id:Number(id), short:CHAINS[id].short, count:vaults.filter(function(v){return v.chainId===Number(id);}).length};
+  }));
+  return (
+    <div className="flex gap-2 flex-wrap mb-4">
+      {options.map(function(o){return(
+        <button key={o.id} onClick={function(){onChange(o.id);}} title={o.id==='all'?'Every chain':chainLabel(o.id)}
+          className={'px-3 py-1 font-mono text-xs border-2 transition-all '+(value===o.id?'bg-[#00FF41] text-black border-[#00FF41] font-bold':'bg-transparent text-[#00FF41] border-[#00FF41] '+(o.count?'opacity-50':'opacity-20')+' hover:opacity-100')}>
+          {o.short} <span className="opacity-60">{o.count}</span>
+        </button>
+      );})}
+    </div>
+  );
+}
+
+// Shown only while a tape is active: replay source and age, or the recording's size and a save button.
+function TapeBadge() {
+  var tape = tapeInfo();
+  if (tape.mode==='live') return null;
+  if (tape.mode==='replay') return (
+    <div className="font-mono text-xs text-[#FFB800] mb-1 tracking-widest">▶ REPLAY · TAPE FROM {new Date(tape.recordedAt).toISOString().slice(0,16).replace('T',' ')} UTC · {tape.entries} EXCHANGES · NO NETWORK</div>
+  );
+  return (
+    <div className="font-mono text-xs text-[#FF3131] mb-1 tracking-widest flex items-center gap-2 justify-center md:justify-start">
+      <span className="animate-pulse">● RECORDING</span><span className="opacity-70">· {tape.entries} EXCHANGES</span>
+      <button onClick={function(){download('concrete-yield-tape-'+tape.recordedAt+'.json', toJson(tapeJson()), 'application/json');}}
+        className="px-2 py-0.5 border border-[#FF3131] opacity-70 hover:opacity-100">SAVE TAPE</button>
+    </div>
+  );
+}
+
+function sameVault(v, ref) { return v.chainId===ref.chainId&&v.address.toLowerCase()===ref.address.toLowerCase(); }
+
+// Drop allocations to vaults this browser does not list, so a shared plan never points at nothing.
+function knownPlan(plan, entries) {
+  var values = {};
+  Object.keys(plan.values).forEach(function(id){ if (entries.some(function(e){return e.id===id;})) values[id] = plan.values[id]; });
+  return {mode:plan.mode, values:values};
+}
+
 function AppInner() {
-  var {vaults,loading,error,lastFetched,fetchAll} = useVaultData();
-  var [principal,setPrincipal]         = useState(10000);
+  var registry = useRegistry();
+  var {vaults:allVaults,loading,error,lastFetched,providers,staleAt,fetchAll} = useVaultData(registry.entries);
+  // Scenario from a shared link; the vault is matched once its data loads.
+  var initial     = useMemo(function(){ return decodeScenario(window.location.search); }, []);
+  var pendingVault = useRef(initial.vault);
+  var [chainFilter,setChainFilter]     = useState(initial.chain);
+  var vaults = useMemo(function() {
+    return chainFilter==='all' ? allVaults : allVaults.filter(function(v){return v.chainId===chainFilter;});
+  }, [allVaults, chainFilter]);
+  var [principal,setPrincipal]         = useState(initial.principal);
+  var [unit,setUnit]                   = useState(initial.unit);
+  var [monthlyInput,setMonthlyInput]   = useState(initial.monthly);
+  var [mode,setMode]                   = useState(initial.mode);
+  var [plan,setPlan]                   = useState(function(){ return knownPlan(initial.plan, registry.entries); });
   var [selectedVault,setSelectedVault] = useState(null);
-  var [selectedDays,setSelectedDays]   = useState(30);
+  var [selectedDays,setSelectedDays]   = useState(initial.days);
+  var [apyWindow,setApyWindow]         = useState(initial.apyWindow);
+  var [copied,setCopied]               = useState(false);
   var [,setTick]                       = useState(0);
+  var wallet                           = useWallet();
+  var {positions,loading:positionsLoading} = usePositions(wallet.account, lastFetched, allVaults);
+  var watch                            = useWatchlist(allVaults, lastFetched);
+  var flows                            = useFlows(selectedVault, lastFetched);
 
-  useEffect(function(){if(vaults&&vaults.length>0&&!selectedVault)setSelectedVault(vaults[0]);},[vaults]);
-  useEffect(function(){if(!selectedVault)return;var updated=vaults.find(function(v){return v.id===selectedVault.id;});if(updated)setSelectedVault(updated);},[vaults]);
+  useEffect(function(){
+    var want  = pendingVault.current;
+    var match = want ? vaults.find(function(v){return sameVault(v,want);}) : null;
+    if (match) pendingVault.current = null;
+    else if (selectedVault) match = vaults.find(function(v){return v.id===selectedVault.id;});
+    setSelectedVault(match||vaults[0]||null);
+  },[vaults]);
+  // A shared vault the recipient has not added yet goes through the normal add-vault path.
+  useEffect(function(){
+    var want = pendingVault.current;
+    if (!want||registry.entries.some(function(e){return sameVault(e,want);})) return;
+    registry.addVault(want.address, want.chainId).catch(function(e){ console.warn('Shared vault not added:', e.message); pendingVault.current = null; });
+  },[]);
+  useEffect(function(){
+    var qs = encodeScenario({principal:principal, unit:unit, days:selectedDays, apyWindow:apyWindow, monthly:monthlyInput, mode:mode, chain:chainFilter, plan:plan,
+      vault:pendingVault.current||(selectedVault&&{chainId:selectedVault.chainId, address:selectedVault.address})});
+    var tq = tapeQuery();
+    window.history.replaceState(null, '', window.location.pathname+'?'+qs+(tq?'&'+tq:''));
+  },[principal,unit,selectedDays,apyWindow,monthlyInput,mode,chainFilter,plan,selectedVault&&selectedVault.id]);
   useEffect(function(){var t=setInterval(function(){setTick(function(c){return c+1;});},1000);return function(){clearInterval(t);};},[]);
 
-  var liveVaults = vaults.filter(function(v){return v.live&&v.apy!==null;});
-  var avgApy     = liveVaults.length?liveVaults.reduce(function(s,v){return s+v.apy;},0)/liveVaults.length:null;
+  var liveVaults  = allVaults.filter(function(v){return v.live&&apyFor(v,apyWindow)!==null;});
+  var avgApy      = liveVaults.length?liveVaults.reduce(function(s,v){return s+apyFor(v,apyWindow);},0)/liveVaults.length:null;
+  var perChain    = chainStats(allVaults, apyWindow);
+  var activeChain = chainFilter==='all' ? (selectedVault?selectedVault.chainId:DEFAULT_CHAIN) : chainFilter;
+  var amount      = toAssetAmount(principal, unit, selectedVault);
+  var monthly     = monthlyInput>0 ? toAssetAmount(monthlyInput, unit, selectedVault) : 0;
+  var costs       = useCosts(selectedVault, amount, lastFetched);
+  var capacity    = useCapacity(selectedVault, amount, wallet.account, lastFetched);
+  var usdTotal    = unit==='usd' ? principal : toUsd(selectedVault, principal);
+  var portfolio   = mode==='portfolio' ? {total:usdTotal, plan:plan, vaults:vaults} : null;
+  var chainTag    = chainFilter==='all' ? 'MULTI-CHAIN' : getChain(chainFilter).short+' ('+chainFilter+')';
+
+  // A vault picked from outside the filtered list widens the chain filter so it stays listed.
+  function selectVault(v) { if (chainFilter!=='all'&&v.chainId!==chainFilter) setChainFilter('all'); setSelectedVault(v); }
+
+  function copyLink() {
+    navigator.clipboard.writeText(window.location.href).then(function(){ setCopied(true); setTimeout(function(){setCopied(false);},1500); })
+      .catch(function(e){ console.warn('Copy failed:', e.message); });
+  }
 
   return (
     <div>
@@ -449,11 +902,12 @@ function AppInner() {
       <div className="relative z-10 min-h-screen px-4 py-8 max-w-7xl mx-auto">
 
         <header className="mb-8 text-center md:text-left">
-          <div className="font-mono text-xs opacity-25 text-[#00FF41] mb-1 tracking-[0.3em]">CONCRETE.YIELD // v2.1.0 // ETH MAINNET (1)</div>
+          <div className="font-mono text-xs opacity-25 text-[#00FF41] mb-1 tracking-[0.3em]">CONCRETE.YIELD // v2.1.0 // {chainTag}</div>
+          <TapeBadge/>
           <h1 className="font-mono font-black italic text-6xl md:text-7xl lg:text-8xl text-[#00FF41] glow leading-none tracking-tight mb-2">
             CONCRETE<br/><span className="text-5xl md:text-6xl lg:text-7xl opacity-75">YIELD</span>
           </h1>
-          <div className="font-mono text-sm opacity-35 text-[#00FF41] mt-3">LIVE DATA · ETHEREUM MAINNET · ERC-4626 · 7-DAY ROLLING APY<span className="animate-blink ml-1">_</span></div>
+          <div className="font-mono text-sm opacity-35 text-[#00FF41] mt-3">LIVE DATA · {chainFilter==='all'?perChain.map(function(c){return c.short;}).join(' / '):getChain(chainFilter).name.toUpperCase()} · ERC-4626 · {windowLabel(apyWindow)} ROLLING APY<span className="animate-blink ml-1">_</span></div>
           <div className="mt-5 flex items-center gap-4">
             <div className="flex-1 h-px bg-[#00FF41] opacity-10"/>
             <div className="font-mono text-xs opacity-15 text-[#00FF41]">◆◆◆</div>
@@ -461,11 +915,28 @@ function AppInner() {
           </div>
         </header>
 
+        <div className="flex items-start justify-between gap-4 flex-wrap">
+          <ChainSwitcher value={chainFilter} onChange={setChainFilter} vaults={allVaults}/>
+          <div className="flex gap-2 mb-4">
+            <button onClick={copyLink} className="px-3 py-1 font-mono text-xs border-2 border-[#00FF41] text-[#00FF41] opacity-50 hover:opacity-100 transition-all">
+              {copied?'✓ LINK COPIED':'⧉ SHARE SCENARIO'}
+            </button>
+            {[['single','SINGLE VAULT'],['portfolio','PORTFOLIO']].map(function(m){return(
+              <button key={m[0]} onClick={function(){setMode(m[0]);}}
+                className={'px-3 py-1 font-mono text-xs border-2 transition-all '+(mode===m[0]?'bg-[#00FF41] text-black border-[#00FF41] font-bold':'bg-transparent text-[#00FF41] border-[#00FF41] opacity-50 hover:opacity-100')}>
+                {m[1]}
+              </button>
+            );})}
+          </div>
+        </div>
+
         <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-8">
           {[
-            {label:'VAULTS',    value:VAULT_CONFIGS.length+' ACTIVE',                                                                                     Icon:Lock,    live:true},
-            {label:'ON-CHAIN',  value:loading?'FETCHING...':vaults.filter(function(v){return v.live;}).length+'/'+VAULT_CONFIGS.length+' LIVE',            Icon:Wifi,    live:!loading},
-            {label:'AVG 7d APY',value:avgApy!==null?avgApy.toFixed(2)+'%':(loading?'...':'N/A'),                                                          Icon:Percent, live:avgApy!==null},
+            {label:'VAULTS',    value:allVaults.length+' ACTIVE',                                                                                  Icon:Lock,    live:true},
+            {label:'ON-CHAIN',  value:loading?'FETCHING...':allVaults.filter(function(v){return v.live;}).length+'/'+allVaults.length+' LIVE',       Icon:Wifi,    live:!loading,
+             split:perChain.map(function(c){return c.short+' '+c.live+'/'+c.total;})},
+            {label:'AVG '+windowLabel(apyWindow)+' APY',value:avgApy!==null?avgApy.toFixed(2)+'%':(loading?'...':'N/A'),                                                          Icon:Percent, live:avgApy!==null,
+             split:perChain.map(function(c){return c.short+' '+(c.avgApy!==null?c.avgApy.toFixed(2)+'%':'N/A');})},
             {label:'REFRESHED', value:lastFetched?timeSince(lastFetched.getTime()):'—',                                                                   Icon:Clock,   live:!!lastFetched},
           ].map(function(s,i){return(
             <div key={i} className="terminal-box p-3 flex items-center gap-2">
@@ -473,28 +944,35 @@ function AppInner() {
               <div>
                 <div className="font-mono text-[10px] opacity-25 text-[#00FF41]">{s.label}</div>
                 <div className={'font-mono font-bold text-sm text-[#00FF41] '+(s.live?'':'opacity-40')}>{s.value}</div>
+                {s.split&&s.split.length>1&&<div className="font-mono text-[10px] opacity-35 text-[#00FF41]">{s.split.join(' · ')}</div>}
               </div>
             </div>
           );})}
         </div>
 
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
-          <div className="lg:col-span-1">
-            <InputSection principal={principal} setPrincipal={setPrincipal} selectedVault={selectedVault} setSelectedVault={setSelectedVault} vaults={vaults} loading={loading} error={error} lastFetched={lastFetched} onRefresh={fetchAll}/>
+          <div className="lg:col-span-1 space-y-6">
+            <InputSection principal={principal} setPrincipal={setPrincipal} unit={unit} setUnit={setUnit} selectedVault={selectedVault} setSelectedVault={setSelectedVault} vaults={vaults} loading={loading} error={error} lastFetched={lastFetched} staleAt={staleAt} provider={providers[activeChain]} onRefresh={fetchAll} apyWindow={apyWindow} position={selectedVault&&positions[selectedVault.id]} capacity={capacity.capacity} onAddVault={registry.addVault} onRemoveVault={registry.removeVault} defaultChain={chainFilter==='all'?DEFAULT_CHAIN:chainFilter}/>
+            <PositionPanel wallet={wallet} positions={positions} loading={positionsLoading} vaults={allVaults} onSelect={selectVault}/>
+            <WatchlistPanel vaults={allVaults} watch={watch}/>
           </div>
-          <div className="lg:col-span-1">
-            <YieldLadder principal={principal} vault={selectedVault} selectedDays={selectedDays} setSelectedDays={setSelectedDays}/>
+          <div className="lg:col-span-1 space-y-6">
+            {mode==='portfolio'
+              ? <PortfolioPanel total={usdTotal} vaults={vaults} plan={plan} setPlan={setPlan} selectedDays={selectedDays} setSelectedDays={setSelectedDays} apyWindow={apyWindow} setApyWindow={setApyWindow}/>
+              : <YieldLadder amount={amount} monthly={monthly} monthlyInput={monthlyInput} setMonthlyInput={setMonthlyInput} unit={unit} costs={costs} vault={selectedVault} selectedDays={selectedDays} setSelectedDays={setSelectedDays} apyWindow={apyWindow} setApyWindow={setApyWindow} lastFetched={lastFetched}/>}
+            <FlowPanel vault={selectedVault} state={flows}/>
           </div>
           <div className="lg:col-span-1 space-y-6">
-            <ProjectionFeed principal={principal} vault={selectedVault} selectedDays={selectedDays}/>
-            <VibeButton principal={principal} vault={selectedVault} selectedDays={selectedDays}/>
+            <ProjectionFeed amount={amount} monthly={monthly} costs={costs.costs} capacity={capacity.capacity} vault={selectedVault} selectedDays={selectedDays} apyWindow={apyWindow} portfolio={portfolio} alerts={watch.latest}
+              controls={{vaults:allVaults, principal:principal, unit:unit, lastFetched:lastFetched, selectVault:selectVault, setPrincipal:setPrincipal, setUnit:setUnit, setDays:setSelectedDays, refresh:fetchAll}}/>
+            <TransactionPanel amount={amount} costs={costs.costs} vault={selectedVault} selectedDays={selectedDays} apyWindow={apyWindow} wallet={wallet} position={selectedVault&&positions[selectedVault.id]} onDone={fetchAll}/>
           </div>
         </div>
 
         <footer className="mt-12 pb-8 space-y-4">
           <div className="text-center font-mono text-xs text-[#00FF41] space-y-1" style={{opacity:0.18}}>
             <div>CONCRETE.YIELD · COMMUNITY CONTRIBUTION · concrete.xyz</div>
-            <div>CHAIN: ETHEREUM MAINNET (1) · ERC-4626 · APY: 7-DAY ROLLING SHARE PRICE</div>
+            <div>CHAINS: {perChain.map(function(c){return c.short+' ('+c.id+')';}).join(' · ')} · ERC-4626 · APY: {windowLabel(apyWindow)} ROLLING SHARE PRICE</div>
             <div>PAST PERFORMANCE ≠ FUTURE RESULTS · USE AT YOUR OWN RISK</div>
           </div>
           <div className="flex items-center justify-center">
@@ -523,11 +1001,17 @@ function AppInner() {
 
 export default function Home() {
   var [hasMounted,setHasMounted] = useState(false);
-  useEffect(function(){setHasMounted(true);},[]);
+  var [tapeError,setTapeError]   = useState(null);
+  // A replay tape has to be loaded before the first refresh cycle asks for anything.
+  useEffect(function(){
+    startTape(window.location.search).then(function(){setHasMounted(true);}).catch(function(e){setTapeError(e.message);});
+  },[]);
   if (!hasMounted) {
     return (
       <div style={{background:'#0D0D0D',width:'100vw',height:'100vh',display:'flex',alignItems:'center',justifyContent:'center'}}>
-        <span style={{color:'#00FF41',fontFamily:'monospace',fontSize:'13px',letterSpacing:'0.2em',animation:'heartbeat 1.2s ease-in-out infinite'}}>// INITIALIZING CONCRETE.YIELD...</span>
+        {tapeError
+          ? <span style={{color:'#FF3131',fontFamily:'monospace',fontSize:'13px',letterSpacing:'0.1em'}}>{'// '+tapeError.toUpperCase()}</span>
+          : <span style={{color:'#00FF41',fontFamily:'monospace',fontSize:'13px',letterSpacing:'0.2em',animation:'heartbeat 1.2s ease-in-out infinite'}}>{'// INITIALIZING CONCRETE.YIELD...'}</span>}
         <style>{`@keyframes heartbeat{0%,100%{opacity:0.2}50%{opacity:1;text-shadow:0 0 12px #00FF41}}`}</style>
       </div>
     );
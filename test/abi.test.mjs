@@ -0,0 +1,82 @@
+/**
+ * ABI codec against known mainnet values: selectors and topics that appear
+ * in every Etherscan trace, and return data as the token contracts send it.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { keccak256, selector, eventTopic, encodeCall, decodeUint256, decodeInt256, decodeAddress, decodeString, parseUnits, toFloat, ratio } from '../src/lib/abi.js';
+
+var USDT = '0xdAC17F958D2ee523a2206206994597C13D831ec7';
+
+function word(n) { return BigInt(n).toString(16).padStart(64,'0'); }
+
+test('keccak256 matches the reference digests', function() {
+  assert.equal(keccak256(''), '0xc5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470');
+  assert.equal(keccak256('Transfer(address,address,uint256)'), '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef');
+});
+
+test('selector and eventTopic give the on-chain ids', function() {
+  assert.equal(selector('transfer(address,uint256)'), '0xa9059cbb');
+  assert.equal(selector('balanceOf(address)'), '0x70a08231');
+  assert.equal(selector('decimals()'), '0x313ce567');
+  assert.equal(selector('symbol()'), '0x95d89b41');
+  assert.equal(selector('totalAssets()'), '0x01e1d114');
+  assert.equal(selector('convertToAssets(uint256)'), '0x07a2d13a');
+  assert.equal(selector('asset()'), '0x38d52e0f');
+  assert.equal(selector('latestRoundData()'), '0xfeaf968c');
+  assert.equal(selector('aggregate3((address,bool,bytes)[])'), '0x82ad56cb');
+  assert.equal(eventTopic('Approval(address,address,uint256)'), '0x8c5be1e5ebec7d5bd14f71427d1e84f3dd0314c0f7b2291e5b200ac8c7c3b925');
+});
+
+test('encodeCall packs static arguments into head words', function() {
+  assert.equal(encodeCall('balanceOf(address)', [USDT]), '0x70a08231'+'000000000000000000000000dac17f958d2ee523a2206206994597c13d831ec7');
+  assert.equal(encodeCall('convertToAssets(uint256)', [10n**18n]), '0x07a2d13a'+word(10n**18n));
+  assert.equal(encodeCall('convertToAssets(uint256)', ['1000000']), '0x07a2d13a'+word(1000000));
+  assert.equal(encodeCall('totalAssets()', []), '0x01e1d114');
+  assert.throws(function(){ encodeCall('balanceOf(address)', []); }, /expects 1 args/);
+  assert.throws(function(){ encodeCall('convertToAssets(uint256)', [-1n]); }, /negative/);
+});
+
+test('decodeUint256 reads words by index and treats empty data as zero', function() {
+  assert.equal(decodeUint256('0x'+word(6)), 6n);                        // USDT decimals()
+  assert.equal(decodeUint256('0x'+word(2n**256n-1n)), 2n**256n-1n);     // type(uint256).max, an unlimited maxDeposit
+  assert.equal(decodeUint256('0x'+word(1)+word(42), 1), 42n);
+  assert.equal(decodeUint256('0x'), 0n);
+  assert.equal(decodeAddress('0x'+'000000000000000000000000dac17f958d2ee523a2206206994597c13d831ec7'), USDT.toLowerCase());
+});
+
+test('decodeInt256 reads two\'s complement', function() {
+  assert.equal(decodeInt256('0x'+word(300000000000n)), 300000000000n);  // a Chainlink answer at 8 decimals
+  assert.equal(decodeInt256('0x'+'f'.repeat(64)), -1n);
+  assert.equal(decodeInt256('0x'+word(2n**256n-5n)), -5n);
+});
+
+test('decodeString reads ABI strings and bytes32 symbols', function() {
+  // USDT symbol(): offset, length, data.
+  assert.equal(decodeString('0x'+word(32)+word(4)+'55534454'.padEnd(64,'0')), 'USDT');
+  // MKR symbol() returns bytes32.
+  assert.equal(decodeString('0x'+'4d4b52'.padEnd(64,'0')), 'MKR');
+  assert.equal(decodeString('0x'), '');
+});
+
+test('parseUnits keeps every digit, including exponent notation', function() {
+  assert.equal(parseUnits('1.5', 6), 1500000n);
+  assert.equal(parseUnits(0.1, 18), 100000000000000000n);
+  assert.equal(parseUnits('12.3456789', 6), 12345678n);              // extra digits are truncated
+  assert.equal(parseUnits(1e21, 18), 10n**39n);
+  assert.equal(parseUnits(2.5e22, 6), 25n*10n**27n);
+  assert.equal(parseUnits(1.5e-7, 18), 150000000000n);
+  assert.equal(parseUnits('.5', 2), 50n);
+  assert.throws(function(){ parseUnits('abc', 6); }, /invalid amount/);
+  assert.throws(function(){ parseUnits('-1', 6); }, /invalid amount/);
+});
+
+test('toFloat and ratio', function() {
+  assert.equal(toFloat(1234567n, 6), 1.234567);
+  assert.equal(toFloat(-1500000n, 6), -1.5);
+  assert.equal(toFloat(10n**39n, 18), 1e21);
+  assert.equal(ratio(3n, 2n), 1.5);
+  assert.equal(ratio(1052345n, 1000000n), 1.052345);
+  assert.ok(Number.isNaN(ratio(1n, 0n)));
+});
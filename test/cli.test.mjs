@@ -0,0 +1,30 @@
+/**
+ * CLI argument handling: bad arguments fail before any request is made.
+ * --rpc points at a closed port, so a request would fail with a network error instead.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { main } from '../bin/cli.mjs';
+
+async function run(argv) {
+  var errors = [], error = console.error;
+  console.error = function(m){ errors.push(String(m)); };
+  try { return {code:await main(argv.concat(['--rpc','http://127.0.0.1:9'])), errors:errors}; }
+  finally { console.error = error; }
+}
+
+test('scenario arguments are checked before the vault is read', async function() {
+  var cases = [
+    [['project','--vault','usdt','--days','0'], '--days must be between 1 and 3650'],
+    [['project','--vault','usdt','--unit','eur'], '--unit must be usd or asset'],
+    [['log','--vault','usdt','--apy-window','5'], '--apy-window must be one of 1, 7, 30, 90'],
+    [['log','--vault','usdt','--amount','-1'], '--amount must be a non-negative number'],
+    [['project','--vault','usdt','--monthly','x'], '--monthly must be a non-negative number'],
+  ];
+  for (var i=0;i<cases.length;i++) {
+    var r = await run(cases[i][0]);
+    assert.equal(r.code, 1);
+    assert.deepEqual(r.errors, ['concrete-yield: '+cases[i][1]]);
+  }
+});
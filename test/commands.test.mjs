@@ -0,0 +1,26 @@
+/**
+ * SIMULATION LOG prompt commands run against a stand-in page context.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runCommand } from '../src/lib/commands.js';
+
+var USDT = { id:'usdt', displayName:'ctUSDT', chainId:1, assetSymbol:'USDT', assetDecimals:6, priceUsd:1, apys:{1:5, 7:5, 30:5, 90:5}, live:true };
+
+function ctx(principal) {
+  return { vaults:[USDT], vault:USDT, principal:principal, unit:'usd', monthly:0, days:30, apyWindow:7, costs:null, lastFetched:new Date() };
+}
+
+function texts(lines) { return lines.map(function(l){return l.type+' '+l.text;}); }
+
+test('status prints the net yield and ROI for a deposit', async function() {
+  var out = texts(await runCommand('status', ctx(1000)));
+  assert.ok(out.some(function(t){return /^yield NET YIELD: .*\(0\.\d\d%\)/.test(t);}), out.join('\n'));
+});
+
+test('status with a zero deposit prints — for the ROI instead of failing', async function() {
+  var out = texts(await runCommand('status', ctx(0)));
+  assert.ok(!out.some(function(t){return t.indexOf('error')===0;}), out.join('\n'));
+  assert.ok(out.some(function(t){return /^yield NET YIELD: .*\(—\)/.test(t);}), out.join('\n'));
+});
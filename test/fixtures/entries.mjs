@@ -0,0 +1,12 @@
+/**
+ * The entries the fixture tapes were captured for: the registry plus one
+ * Base vault, so that one chain can fail while the other still answers.
+ * BASE_VAULT is where the stand-in vault was deployed on the local Base
+ * chain; point it at a real vault before re-recording against Base.
+ */
+
+import { REGISTRY, userEntry } from '../../src/lib/registry.js';
+
+export var BASE_VAULT = '0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9';
+
+export function fixtureEntries() { return REGISTRY.concat([userEntry(BASE_VAULT, 8453)]); }
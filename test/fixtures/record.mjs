@@ -0,0 +1,30 @@
+/**
+ * Re-record test/fixtures/registry.tape.json: one fetchRegistry round over
+ * the fixture entries, with every RPC exchange saved to the tape. The
+ * committed tapes are synthetic (local hardhat stand-ins, see the README's
+ * Tests section); run this against real endpoints to replace them.
+ *
+ *   node --import ./test/setup.mjs test/fixtures/record.mjs <mainnet rpc> <base rpc>
+ *
+ * The hand-edited variants next to it are copies of this tape; redo their
+ * edits (see the README's Tests section) after re-recording.
+ */
+
+import { writeFile } from 'node:fs/promises';
+import { overrideRpc } from '../../src/lib/chains.js';
+import { fetchRegistry } from '../../src/lib/vaults.js';
+import { startRecording, tapeJson } from '../../src/lib/tape.js';
+import { fixtureEntries } from './entries.mjs';
+
+var [mainnet, base] = process.argv.slice(2);
+if (!mainnet||!base) {
+  console.error('Usage: record.mjs <mainnet rpc> <base rpc>');
+  process.exit(1);
+}
+overrideRpc(1, mainnet);
+overrideRpc(8453, base);
+startRecording();
+var results = await fetchRegistry(fixtureEntries());
+results.forEach(function(r){ if (r.status==='rejected') console.warn('Recorded a failed read:', r.reason.message); });
+await writeFile(new URL('./registry.tape.json', import.meta.url), JSON.stringify(tapeJson())+'\n');
+console.log('Recorded '+Object.keys(tapeJson().rpc).length+' RPC exchanges');
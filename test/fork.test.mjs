@@ -0,0 +1,39 @@
+/**
+ * Opt-in check against a local fork (anvil or hardhat): the CLI's
+ * `positions` reads for FORK_ACCOUNT must match balanceOf and
+ * convertToAssets called straight on the vault, outside Multicall3.
+ * Skipped unless FORK_RPC is set.
+ *
+ *   anvil --fork-url <mainnet rpc>
+ *   FORK_RPC=http://127.0.0.1:8545 FORK_ACCOUNT=0x… FORK_VAULT=usdt npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import { encodeCall, decodeUint256 } from '../src/lib/abi.js';
+
+var RPC = process.env.FORK_RPC;
+var ACCOUNT = process.env.FORK_ACCOUNT;
+var VAULT = process.env.FORK_VAULT || 'usdt';
+var CLI = fileURLToPath(new URL('../bin/concrete-yield.mjs', import.meta.url));
+
+async function ethCall(to, data) {
+  var res = await fetch(RPC, {method:'POST', headers:{'content-type':'application/json'},
+    body:JSON.stringify({jsonrpc:'2.0', id:1, method:'eth_call', params:[{to:to, data:data}, 'latest']})});
+  var json = await res.json();
+  if (json.error) throw new Error(json.error.message);
+  return decodeUint256(json.result);
+}
+
+test('positions on a fork match direct vault reads', {skip:!RPC&&'set FORK_RPC (and FORK_ACCOUNT) to run'}, async function() {
+  assert.ok(ACCOUNT, 'FORK_ACCOUNT is required with FORK_RPC');
+  var out = await promisify(execFile)(process.execPath, [CLI, 'positions', '--json', '--rpc', RPC, '--vault', VAULT, '--account', ACCOUNT], {timeout:120000});
+  var row = JSON.parse(out.stdout)[0];
+  var shares = await ethCall(row.address, encodeCall('balanceOf(address)', [ACCOUNT]));
+  assert.ok(shares>0n, ACCOUNT+' holds no '+VAULT+' shares on the fork');
+  assert.equal(row.shares, shares.toString());
+  assert.equal(row.assets, (await ethCall(row.address, encodeCall('convertToAssets(uint256)', [shares]))).toString());
+});
@@ -0,0 +1,91 @@
+/**
+ * fetchRegistry replayed from the tapes in test/fixtures: a full round, one
+ * with the Base RPC down (and an out-of-bounds 24H sample on chain 1) and one
+ * with every RPC down, settled the way the page settles them.
+ *
+ * The tapes are synthetic. They were captured from local hardhat chains
+ * running stand-in contracts at the configured addresses, not from mainnet
+ * or Base, so block numbers, rates and balances are the stand-ins' own. The
+ * tests check the read, replay and failure paths, not live vault numbers.
+ *
+ * Vault metadata and resolved blocks stay cached in the module for the rest
+ * of the file, so the tests run in this order: nothing cached while every
+ * RPC is down, then the full round, then the partial tape, whose chain 1
+ * rounds are the full round's.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { loadTape } from '../src/lib/tape.js';
+import { fetchRegistry, settleRegistry } from '../src/lib/vaults.js';
+import { annualise } from '../src/lib/history.js';
+import { fixtureEntries } from './fixtures/entries.mjs';
+
+var ENTRIES = fixtureEntries();
+
+async function replay(name) {
+  var url = new URL('./fixtures/'+name, import.meta.url);
+  loadTape(JSON.parse(await readFile(url, 'utf8')), name);
+  return fetchRegistry(ENTRIES);
+}
+
+function byId(results) {
+  var out = {};
+  results.forEach(function(r,i){ out[ENTRIES[i].id] = r; });
+  return out;
+}
+
+function inBounds(apy) { return apy===null || (apy>=-100&&apy<=50000); }
+
+test('annualise keeps losses and drops out-of-bounds APYs', function() {
+  assert.ok(Math.abs(annualise(105n, 100n, 365)-5) < 1e-9);
+  assert.ok(Math.abs(annualise(95n, 100n, 365)+5) < 1e-9);
+  assert.ok(Math.abs(annualise(1n, 100n, 365)+99) < 1e-9);
+  assert.equal(annualise(200n, 100n, 1), null);
+  assert.equal(annualise(0n, 100n, 365), null);
+  assert.equal(annualise(100n, 0n, 365), null);
+});
+
+test('every chain down: all vaults fail and fall back', async function() {
+  var results = await replay('registry-down.tape.json');
+  results.forEach(function(r){ assert.equal(r.status, 'rejected'); assert.equal(r.reason.message, 'fetch failed'); });
+  var saved = {usdt:{id:'usdt', tvl:'42.63M USDT', apy:5.8, risk:'LOW', live:true, fetchedAt:1}};
+  var settled = settleRegistry(ENTRIES, results, saved);
+  assert.equal(settled.failCount, ENTRIES.length);
+  assert.equal(settled.error, 'All vault fetches failed on every RPC endpoint. Check your RPC URLs.');
+  var usdt = settled.vaults[0], wbtc = settled.vaults.find(function(v){return v.id==='wbtc';});
+  assert.deepEqual([usdt.stale, usdt.live, usdt.apy, usdt.risk], [true, false, 5.8, 'LOW']);
+  assert.deepEqual([wbtc.stale, wbtc.live, wbtc.apy, wbtc.tvl], [undefined, false, null, 'Fetch failed']);
+});
+
+test('full round: every vault reads with APYs in bounds', async function() {
+  var results = await replay('registry.tape.json');
+  results.forEach(function(r){ assert.equal(r.status, 'fulfilled', r.reason&&r.reason.message); });
+  var v = byId(results);
+  results.forEach(function(r) {
+    Object.keys(r.value.apys).forEach(function(d){ assert.ok(inBounds(r.value.apys[d]), r.value.id+' '+d+'d APY '+r.value.apys[d]); });
+  });
+  assert.ok(Math.abs(v.usdt.value.apys[7]-5.79) < 0.05);
+  assert.ok(Math.abs(v.wbtc.value.apys[30]-2.47) < 0.05);
+  assert.equal(v.usdt.value.assetSymbol, 'USDT');
+  assert.equal(v.weweth.value.nav.error, undefined);
+  assert.ok(Math.abs(v.weweth.value.nav.apy-4.39) < 0.05);
+  assert.equal(v[ENTRIES[ENTRIES.length-1].id].value.chainId, 8453);
+  var settled = settleRegistry(ENTRIES, results, {});
+  assert.deepEqual([settled.failCount, settled.error], [0, null]);
+});
+
+test('Base down: mainnet still reads and the 24H outlier is dropped', async function() {
+  var results = await replay('registry-partial.tape.json');
+  var base = results[results.length-1];
+  assert.equal(base.status, 'rejected');
+  assert.equal(base.reason.message, 'fetch failed');
+  results.slice(0,-1).forEach(function(r){ assert.equal(r.status, 'fulfilled'); });
+  var usdt = byId(results).usdt.value;
+  assert.equal(usdt.apys[1], null);
+  assert.ok(Math.abs(usdt.apys[7]-5.79) < 0.05);
+  var settled = settleRegistry(ENTRIES, results, {});
+  assert.equal(settled.error, '1 vault(s) could not be reached.');
+  assert.equal(settled.vaults[settled.vaults.length-1].tvl, 'Fetch failed');
+});
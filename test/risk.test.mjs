@@ -0,0 +1,43 @@
+/**
+ * Flow concentration from Deposit / Withdraw totals: a large deposit that
+ * leaves again is still one event carrying most of the flow, even though the
+ * sampled TVL ends where it started.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assessRisk, flowConcentration } from '../src/lib/risk.js';
+
+// A steadily rising share price and a flat TVL, so only the flow check can add points.
+var SERIES = [30, 21, 14, 7, 3, 1, 0].map(function(d){ return {daysAgo:d, price:1.01-d/10000, tvl:1000000}; });
+
+function vault(flowStats) {
+  return { id:'usdt', history:SERIES, apys:{}, flowStats:flowStats };
+}
+
+function stats(gross, kind, largest) {
+  return { days:30, count:4, gross:gross, largest:{kind:kind, assets:largest, block:100} };
+}
+
+test('no events, no concentration', function() {
+  assert.equal(flowConcentration({days:30, count:0, gross:0, largest:null}, SERIES), null);
+  assert.equal(flowConcentration(undefined, SERIES), null);
+});
+
+test('a deposit withdrawn again still counts as concentrated', function() {
+  var f = flowConcentration(stats(1000000, 'deposit', 400000), SERIES);
+  assert.deepEqual([f.kind, f.size, f.share], ['deposit', 0.4, 0.4]);
+  var r = assessRisk(vault(stats(520000, 'withdraw', 400000)));
+  assert.equal(r.score, 10);
+  assert.equal(r.reasons[0].text, 'Concentrated flows: one withdrawal moved 40% of TVL (77% of all deposits and withdrawals over 30d)');
+});
+
+test('small or spread-out flows add nothing', function() {
+  assert.equal(assessRisk(vault(stats(150000, 'deposit', 100000))).score, 0);
+  assert.equal(assessRisk(vault(stats(2000000, 'deposit', 400000))).score, 0);
+});
+
+test('events that could not be read add 5', function() {
+  var r = assessRisk(vault({error:'fetch failed'}));
+  assert.deepEqual([r.score, r.reasons[0].text], [5, 'Deposit / withdraw events could not be read']);
+});
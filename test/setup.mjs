@@ -0,0 +1,8 @@
+/**
+ * Preloaded by `npm test` (node --import): the tests import src/lib the way
+ * the CLI does, through the module hooks in bin/loader.mjs.
+ */
+
+import { register } from 'node:module';
+
+register('../bin/loader.mjs', import.meta.url);
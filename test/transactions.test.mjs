@@ -0,0 +1,40 @@
+/**
+ * The approve sequence before a deposit: none with enough allowance, one
+ * approve from zero, and a reset to 0 first from a partial allowance, which
+ * USDT's approve would otherwise revert on.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { approvalTxs } from '../src/lib/transactions.js';
+import { selector } from '../src/lib/abi.js';
+
+var USDT  = '0xdAC17F958D2ee523a2206206994597C13D831ec7';
+var VAULT = '0x0E609b710da5e0AA476224b6c0e5445cCc21251E';
+
+function preview(allowance, assets) {
+  return { asset:USDT, assets:assets, allowance:allowance, needsApproval:allowance<assets, needsReset:allowance>0n&&allowance<assets };
+}
+
+// [step, amount] for each tx, after checking it is approve(VAULT, amount) on the asset.
+function plan(txs) {
+  return txs.map(function(a) {
+    assert.equal(a.tx.to, USDT);
+    assert.equal(a.tx.chainId, 1);
+    assert.equal(a.tx.data.slice(0,10), selector('approve(address,uint256)'));
+    assert.equal('0x'+a.tx.data.slice(34,74), VAULT.toLowerCase());
+    return [a.step, BigInt('0x'+a.tx.data.slice(74))];
+  });
+}
+
+test('enough allowance needs no approve', function() {
+  assert.deepEqual(approvalTxs(preview(5000000n, 5000000n), VAULT, 1), []);
+});
+
+test('zero allowance approves the deposit once', function() {
+  assert.deepEqual(plan(approvalTxs(preview(0n, 5000000n), VAULT, 1)), [['approve', 5000000n]]);
+});
+
+test('a partial allowance is reset to 0 before the approve', function() {
+  assert.deepEqual(plan(approvalTxs(preview(1000000n, 5000000n), VAULT, 1)), [['reset', 0n], ['approve', 5000000n]]);
+});